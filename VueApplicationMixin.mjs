@@ -1,7 +1,265 @@
-import { createApp, h, reactive } from 'vue';
+import { Teleport, computed, createApp, effectScope, h, inject, isReactive, nextTick, onBeforeUnmount, onErrorCaptured, onMounted, onUnmounted, provide, reactive, ref, shallowReactive, shallowRef, toRaw, watch, watchEffect } from 'vue';
+import { installReactiveTranslations, localize } from './VueLocalization.mjs';
+import { getPersistence, pickPaths } from './VuePersistence.mjs';
+import { vContextMenu } from './VueContextMenu.mjs';
+import { createDropTarget, resolveDragData, vDraggable } from './VueDragDrop.mjs';
+import { acquireStyles, adoptStyles, getCoreStyleSheet, releaseStyles, subscribeStyles } from './VueStyles.mjs';
+import { getVuePlugins } from './VueStore.mjs';
+import { createTooltipDirective } from './VueTooltip.mjs';
 
 export const VueApplicationMixinVersion = '0.0.6';
 
+/**
+ * The reactive form data of a part, returned by `useFormData`.
+ *
+ * @typedef {Object} VueFormData
+ * @property {Object} data - The reactive form data, components can `v-model` against its properties.
+ * @property {Object<string, string>} errors - The validation errors of the changed fields, keyed by their path.
+ * @property {boolean} dirty - Whether the form data has changes which have not been submitted.
+ * @property {Function} submit - Validates and submits the changes through the part's form handler.
+ * @property {Function} reset - Discards the changes which have not been submitted.
+ */
+
+/**
+ * Get the names of the components from a component instance up to the root of its Vue application.
+ * @param {Object} instance - The component instance.
+ * @returns {string} - The component stack, one component per line.
+ */
+function getComponentStack(instance) {
+	const names = [];
+	// Error handlers receive the public instance, the internal instance is its `$`
+	for (let current = instance?.$ ?? instance; current; current = current.parent) {
+		const type = current.type ?? {};
+		names.push(`<${type.name ?? type.__name ?? type.__file?.split('/').pop() ?? 'Anonymous'}>`);
+	}
+	return names.join('\n');
+}
+
+/**
+ * Wraps each part of the Vue application, providing the part id to the components inside of it.
+ * -- Calls the part lifecycle callbacks of the application when the part is mounted and unmounted
+ * -- Acts as the error boundary of the part, rendering a fallback with the error instead of the part's components
+ * @type {Object}
+ */
+const VueApplicationPart = {
+	name: 'VueApplicationPart',
+	props: {
+		partId: { type: String, required: true },
+		fallback: { type: Object, default: null }
+	},
+	setup(props, { slots }) {
+		const application = inject('application', null);
+		const element = ref(null);
+		const failure = shallowRef(null);
+		provide('applicationPart', props.partId);
+
+		onMounted(() => application?._onPartMounted?.(props.partId, element.value));
+		onUnmounted(() => application?._onPartUnmounted?.(props.partId));
+
+		// Render the fallback for errors of the part's components, and stop them from reaching the errorHandler
+		onErrorCaptured((error, instance, info) => {
+			failure.value = { error, info, componentStack: getComponentStack(instance) };
+			application?._onVueError?.(error, { partId: props.partId, info, componentStack: failure.value.componentStack });
+			return false;
+		});
+		const retry = () => failure.value = null;
+
+		return () => h('div', { ref: element, 'data-application-part': props.partId }, failure.value
+			? (props.fallback
+				? [h(props.fallback, { ...failure.value, retry })]
+				: [h('div', { class: 'vue-application-error' }, [
+					h('p', [h('i', { class: 'fa-solid fa-triangle-exclamation' }), ` ${failure.value.error?.message ?? failure.value.error}`]),
+					h('pre', failure.value.componentStack),
+					h('button', { type: 'button', onClick: retry }, [h('i', { class: 'fa-solid fa-rotate-right' }), ' Retry'])
+				])])
+			: slots.default?.());
+	}
+};
+
+/**
+ * Find the id of the part a component instance is rendered in, through its VueApplicationPart wrapper.
+ * @param {Object} instance - The component instance.
+ * @returns {string|undefined} - The id of the part.
+ */
+function getInstancePartId(instance) {
+	let parent = instance?.$ ?? instance;
+	while (parent && parent.type !== VueApplicationPart) parent = parent.parent;
+	return parent?.props.partId;
+}
+
+/**
+ * The active tabs of each application, keyed by application class and document, so a sheet opens again on the tabs it was showing.
+ * @type {Map<string, Object<string, string>>}
+ */
+const VueTabGroups = new Map();
+
+/**
+ * The persisted UI states whose documents are watched, so the state of a document is removed when it is deleted.
+ * @type {Set<string>}
+ */
+const VuePersistedStates = new Set();
+
+/**
+ * Get the key the UI state of a document is persisted under, dots would be expanded into nested keys by flag updates.
+ * @param {ClientDocument|null} document - The document of the application.
+ * @returns {string} - The key of the state.
+ */
+function getPersistedStateKey(document) {
+	return document?.uuid?.replaceAll('.', '_') ?? 'default';
+}
+
+/**
+ * Remove the persisted UI state of deleted documents, when the state is first used and whenever a document is deleted.
+ * @param {VuePersistence} persistence - The persistence keeping the state of each document.
+ * @param {string} id - The id of the persisted state.
+ * @param {string} documentName - The type of the documents.
+ */
+function watchPersistedDocuments(persistence, id, documentName) {
+	if (VuePersistedStates.has(`${id}.${documentName}`)) return;
+	VuePersistedStates.add(`${id}.${documentName}`);
+
+	// Remove the state of a document, a failed setting or flag update is only logged
+	const unset = async (key) => {
+		try {
+			await persistence.unset(key);
+		}
+		catch (error) {
+			console.error(`VueApplicationMixin | Failed to remove the persisted state of ${key}`, error);
+		}
+	};
+
+	// -- Documents deleted while the state wasn't watched are found by their uuid
+	for (const [key, state] of Object.entries(persistence.load() ?? {})) {
+		if (state?.uuid && !fromUuidSync(state.uuid)) unset(key);
+	}
+	Hooks.on(`delete${documentName}`, (document) => {
+		const key = getPersistedStateKey(document);
+		if (persistence.load()?.[key]) unset(key);
+	});
+}
+
+/**
+ * Lists the parts, props, plugins and actions of a VueApplication, rendered when its `DEBUG` flag is on.
+ * @type {Object}
+ */
+const VueApplicationDebug = {
+	name: 'VueApplicationDebug',
+	props: {
+		parts: { type: Array, default: () => [] },
+		props: { type: Object, default: () => ({}) },
+		sharedProps: { type: Object, default: () => ({}) },
+		plugins: { type: Array, default: () => [] },
+		actions: { type: Array, default: () => [] }
+	},
+	setup(props) {
+		// Documents and other class instances are shown by name, they are too large and can be circular
+		const stringify = (value) => {
+			try {
+				return JSON.stringify(value, (key, inner) => {
+					if (inner?.documentName) return `${inner.documentName} ${inner.uuid}`;
+					if (inner && typeof inner === 'object' && !Array.isArray(inner) && inner.constructor !== Object) return `[${inner.constructor?.name ?? 'Object'}]`;
+					return inner;
+				}, 2);
+			}
+			catch (error) {
+				return String(error);
+			}
+		};
+		const section = (title, content) => h('section', [h('h4', title), content]);
+
+		return () => h('details', { class: 'vue-application-debug', style: 'position: absolute; inset: auto 0 0 auto; z-index: 100; max-height: 50%; max-width: 50%; overflow: auto; padding: 0.25rem 0.5rem; background: rgba(0, 0, 0, 0.85); color: #eee; font: 11px monospace;' }, [
+			h('summary', 'Vue Debug'),
+			section('Parts', h('ul', props.parts.map(partId => h('li', { key: partId }, [h('strong', partId), h('pre', stringify(props.props[partId]))])))),
+			section('Shared Props', h('pre', stringify(props.sharedProps))),
+			section('Plugins', h('ul', props.plugins.map(name => h('li', name)))),
+			section('Actions', h('ul', props.actions.map(name => h('li', name))))
+		]);
+	}
+};
+
+/**
+ * Renders the element a part with `mount: 'app'` is mounted in as its own Vue application.
+ * -- The element has no children in this application, so the part's application owns its content
+ * @type {Object}
+ */
+const VueApplicationPartMount = {
+	name: 'VueApplicationPartMount',
+	props: {
+		partId: { type: String, required: true },
+		mount: { type: Function, required: true },
+		unmount: { type: Function, required: true }
+	},
+	setup(props) {
+		const element = ref(null);
+		onMounted(() => props.mount(element.value));
+		onBeforeUnmount(() => props.unmount());
+		return () => h('div', { ref: element, 'data-application-part-app': props.partId });
+	}
+};
+
+/**
+ * Get the reactive form data of the part the component is rendered in.
+ * Must be called inside the `setup` function of a component.
+ *
+ * @param {string} [selector] - The selector of the part's `forms` config to submit through, defaults to the first one.
+ * @returns {VueFormData} - The reactive form data of the part.
+ */
+export function useFormData(selector) {
+	return inject('useFormData')(selector);
+}
+
+/**
+ * Get a single field of the reactive form data of the part the component is rendered in.
+ * Must be called inside the `setup` function of a component.
+ *
+ * @param {string} path - The path of the field in the form data, for example `system.attributes.hp.value`.
+ * @param {string} [selector] - The selector of the part's `forms` config to submit through, defaults to the first one.
+ * @returns {{ name: string, value: import('vue').WritableComputedRef, error: import('vue').ComputedRef<string|null> }} - The field, `value` can be used with `v-model`.
+ */
+export function useField(path, selector) {
+	return inject('useField')(path, selector);
+}
+
+/**
+ * Get an action of the application the component is rendered in, from `options.actions`.
+ * Must be called inside the `setup` function of a component.
+ *
+ * @param {string} name - The name of the action.
+ * @returns {Function} - Calls the action with `(event, target)`, the target defaults to the element the event listener is on.
+ */
+export function useAction(name) {
+	return inject('useAction')(name);
+}
+
+/**
+ * Resolve the component of a part, or of a tooltip, to a component definition.
+ * -- A promise, like the one `vueGetTemplate` returns, is awaited
+ * -- A path is loaded with `vueGetTemplate`, the loader is only imported when a path is used
+ *
+ * @param {Object|Promise<Object>|string} source - A component, a promise of a component, or the path of a `.vue` file.
+ * @returns {Promise<Object>} - The component.
+ */
+export async function resolveVueComponent(source) {
+	const component = await source;
+	if (typeof component !== 'string') return component;
+	const { vueGetTemplate } = await import('./VueGetTemplate.mjs');
+	return await vueGetTemplate(component);
+}
+
+/**
+ * Get a tab group of the application the component is rendered in, kept in sync with `tabGroups` and `changeTab`.
+ * Must be called inside the `setup` function of a component.
+ *
+ * @param {string} [group="primary"] - The tab group.
+ * @param {string} [initial] - The tab which is active when the group has no active tab yet.
+ * @returns {{ group: string, active: import('vue').WritableComputedRef<string|null>, activate: Function, isActive: Function }} - The tab group, setting `active` or calling `activate(tab, event)` changes the tab.
+ */
+export function useTabs(group = 'primary', initial) {
+	const useTabGroup = inject('useTabs', null);
+	if (!useTabGroup) throw new Error('VueApplicationMixin | useTabs | No "useTabs" provider found, the component must be rendered in a VueApplication');
+	return useTabGroup(group, initial);
+}
+
 /**
  * A mixin class that extends a base application with Vue.js functionality.
  * @template {typeof BaseApplication} BaseApplication - The base application class to extend.
@@ -16,10 +274,30 @@ export function VueApplicationMixin(BaseApplication) {
 
 		/**
 		 * Indicates whether the application should be attached to the shadow dom.
-		 * @type {boolean}
+		 * -- An object configures the shadow root: `{ mode: 'open', adoptCoreStyles: false }`
+		 * -- `adoptCoreStyles` copies Foundry's core styles into the shadow root, so the application matches the active theme
+		 * @type {boolean|{ mode?: string, adoptCoreStyles?: boolean }}
 		 */
 		static SHADOWROOT = false;
 
+		/**
+		 * The UI state of the application which is persisted for the current user, like collapsed sections, sort orders and filters.
+		 * -- `props` lists the paths of each part's props to persist, keyed by part id: `{ list: ['sort', 'filters.text'] }`
+		 * -- `position` persists the position of the window, and its size unless it is `auto`
+		 * -- `storage` is a client setting, a flag of the user or a flag of the application's document, named by `scope` and `key` (the class name by default)
+		 * -- Settings and user flags keep the state of each document, the state of a document is removed when the document is deleted
+		 * @type {{ storage?: 'client'|'user'|'document', scope: string, key?: string, props?: Object<string, string[]>, position?: boolean, debounce?: number }|null}
+		 */
+		static PERSIST = null;
+
+		/**
+		 * The styles of the Vue application: stylesheet URLs, raw CSS text or constructed `CSSStyleSheet`s.
+		 * -- Parts can add their own styles with `styles` in their part config
+		 * -- With a shadow root the styles are adopted into it, otherwise they are added to the document
+		 * @type {Array<string|CSSStyleSheet>}
+		 */
+		static STYLES = [];
+
 
 		/**
 		 * The parts of the Vue application.
@@ -35,11 +313,24 @@ export function VueApplicationMixin(BaseApplication) {
 			return this.#parts;
 		}
 
+		/**
+		 * Get the localized title of the Vue application.
+		 * -- The title of the base application is kept, document sheets build it from their document
+		 * -- The window title is updated when the language or the translations change
+		 * @returns {string} - The title of the Vue application.
+		 */
+		get title() {
+			// Make the translations reactive before the base application reads them
+			installReactiveTranslations();
+			return localize(super.title ?? '');
+		}
+
 		/**
 		 * The private parts of the Vue application.
+		 * -- Maps each rendered part id to its component, the root render function reacts to parts being added or removed
 		 * @type {Object<string, *>}
 		 */
-		#parts = {};
+		#parts = shallowReactive({});
 
 		/**
 		 * The private containers for Vue instances.
@@ -53,13 +344,231 @@ export function VueApplicationMixin(BaseApplication) {
 		 */
 		#props = {};
 
+		/**
+		 * The private props shared by every part of the Vue application.
+		 * @type {Object|null}
+		 */
+		#sharedProps = null;
+
+		/**
+		 * The private element the Vue Instance is mounted to.
+		 * @type {HTMLElement|null}
+		 */
+		#root = null;
+
+		/**
+		 * The private function which stops adding Single File Component styles to the shadow root.
+		 * @type {Function|null}
+		 */
+		#unsubscribeStyles = null;
+
+		/**
+		 * The private document or shadow root the styles of mounted components are added to.
+		 * @type {Document|ShadowRoot|null}
+		 */
+		#styleTarget = null;
+
+		/**
+		 * The private reactive form data of each part, keyed by part id and by the selector of the form config.
+		 * @type {Object<string, Object<string, Object>>}
+		 */
+		#forms = {};
+
+		/**
+		 * The private effect scope of the application's watchers, stopped when the application is closed.
+		 * @type {EffectScope|null}
+		 */
+		#scope = null;
+
+		/**
+		 * The part elements updated by Vue which are waiting for the render hooks to be called.
+		 * @type {Set<HTMLElement>}
+		 */
+		#updatedParts = new Set();
+
+		/**
+		 * Whether the application is running its render lifecycle, which calls the render hooks itself.
+		 * -- Vue updates caused by the render, like merged props, still call `_onPartUpdated`, but are not bridged to the render hooks again
+		 * -- Cleared when the render finishes, also when it fails
+		 * @type {boolean}
+		 */
+		#lifecycleRender = false;
+
+		/**
+		 * The private mounted component instances, keyed by their component definition.
+		 * -- Used to update the mounted components when a Single File Component is reloaded
+		 * @type {Map<Object, Set<Object>>}
+		 */
+		#mounted = new Map();
+
+		/**
+		 * The private number of times each part was remounted, used in the key of the part.
+		 * @type {Object<string, number>}
+		 */
+		#partVersions = shallowReactive({});
+
+		/**
+		 * The private controller removing the delegated action listeners when the application is closed.
+		 * @type {AbortController|null}
+		 */
+		#actionListeners = null;
+
+		/**
+		 * The private Vue Instances of the parts mounted as their own application, keyed by part id.
+		 * @type {Object<string, import('vue').App>}
+		 */
+		#partApps = {};
+
+		/**
+		 * The private part configs of the last render.
+		 * @type {Object<string, Object>}
+		 */
+		#partConfigs = {};
+
+		/**
+		 * The private names of the plugins installed into the Vue Instance, listed by the debug overlay.
+		 * @type {string[]}
+		 */
+		#pluginNames = [];
+
+		/**
+		 * The private time the last error notification was shown, so a failing part doesn't flood the notifications.
+		 * @type {number}
+		 */
+		#lastErrorNotification = 0;
+
+		/**
+		 * The private persistence of the application's UI state, created the first time it is used.
+		 * @type {{ load: Function, save: Function }|null}
+		 */
+		#persist = null;
+
+		/**
+		 * The private functions stopping the watchers which persist the props of each part, keyed by part id.
+		 * @type {Object<string, Function>}
+		 */
+		#persistWatchers = {};
+
+		/**
+		 * Whether the persisted position was applied since the application was opened.
+		 * @type {boolean}
+		 */
+		#positionRestored = false;
+
+		/**
+		 * Render the Vue application.
+		 * -- The lifecycle render flag is cleared once the render is done, even if a step of the render throws
+		 * @param {Object|boolean} [options] - The render options, or `force`.
+		 * @param {Object} [_options] - The render options when the first argument is `force`.
+		 * @returns {Promise<BaseApplication>} - A Promise which resolves to the rendered Application instance.
+		 */
+		async render(options = {}, _options = {}) {
+			try {
+				return await super.render(options, _options);
+			}
+			finally {
+				this.#lifecycleRender = false;
+			}
+		}
+
 		/**
 		 * Configure the render options for the Vue application.
 		 * @param {Object} options - The render options.
 		 */
 		_configureRenderOptions(options) {
+			// Restore the persisted position before the window is positioned for the first time
+			if (!this.#positionRestored && this.constructor.PERSIST?.position) {
+				this.#positionRestored = true;
+				const position = this.#getPersist()?.load().position;
+				if (position) options.position = { ...position, ...options.position };
+			}
 			super._configureRenderOptions(options);
-			options.parts ??= Object.keys(this.constructor.PARTS);
+			options.parts ??= Object.keys(this._configureRenderParts(options));
+		}
+
+		/**
+		 * Configure the parts which are available for this render.
+		 * Subclasses can remove parts from the returned object to unmount them from the application.
+		 * @param {Object} options - The render options.
+		 * @returns {Object<string, *>} - The parts which are available for this render.
+		 */
+		_configureRenderParts(options) {
+			return { ...this.constructor.PARTS };
+		}
+
+		/**
+		 * Prepare the props which are shared by every part of the Vue application.
+		 * The returned object is made reactive, so changing it later re-renders the components using those props.
+		 * @param {Object} options - The render options.
+		 * @returns {Object} - The shared props.
+		 */
+		_prepareSharedProps(options) {
+			return {};
+		}
+
+		/**
+		 * Prepare the initial form data of a part, which is returned by `useFormData`.
+		 * @param {string} partId - The id of the part.
+		 * @param {string} [selector] - The selector of the part's form config the data is submitted through.
+		 * @returns {Object} - The form data of the part.
+		 */
+		_prepareFormData(partId, selector) {
+			return {};
+		}
+
+		/**
+		 * Validate the changes of a part's form data before they are submitted.
+		 * @param {string} partId - The id of the part.
+		 * @param {Object} changes - The changed form data.
+		 * @param {string} [selector] - The selector of the part's form config the data is submitted through.
+		 * @returns {Object<string, string>} - The validation errors, keyed by the path of the invalid field.
+		 */
+		_validateFormData(partId, changes, selector) {
+			return {};
+		}
+
+		/**
+		 * Prepare the context of a part, which is merged into the part's props on every render.
+		 * Unlike Handlebars parts, the context isn't passed as a whole, so only return the values the part's component uses as props.
+		 * @param {string} partId - The id of the part.
+		 * @param {Object} context - The render context returned by `_prepareContext`.
+		 * @param {Object} options - The render options.
+		 * @returns {Promise<Object>} - The props of the part.
+		 */
+		async _preparePartContext(partId, context, options) {
+			return {};
+		}
+
+		/**
+		 * Called when a part is mounted, and when it is mounted again after being removed or reloaded.
+		 * @param {string} partId - The id of the part.
+		 * @param {HTMLElement} element - The element of the part.
+		 */
+		_onPartMounted(partId, element) {}
+
+		/**
+		 * Called once per tick after Vue updated the components of a part, before the render hooks are called.
+		 * @param {string} partId - The id of the part.
+		 * @param {HTMLElement} element - The element of the part.
+		 */
+		_onPartUpdated(partId, element) {}
+
+		/**
+		 * Called when a part is unmounted, because it was removed from the rendered parts or the application was closed.
+		 * @param {string} partId - The id of the part.
+		 */
+		_onPartUnmounted(partId) {}
+
+		/**
+		 * Reset the form data of the parts to the data returned by `_prepareFormData`.
+		 * @param {string[]} [partIds] - The ids of the parts to reset, defaults to every part using form data.
+		 * @param {Object} [options] - The reset options.
+		 * @param {boolean} [options.keepChanges=true] - Keep the changes which have not been submitted yet.
+		 */
+		_resetFormData(partIds = Object.keys(this.#forms), { keepChanges = true } = {}) {
+			for (const partId of partIds) {
+				for (const state of Object.values(this.#forms[partId] ?? {})) this.#resetFormState(state, { keepChanges });
+			}
 		}
 
 		/**
@@ -68,10 +577,42 @@ export function VueApplicationMixin(BaseApplication) {
 		 * @param {Object} options - The render options.
 		 * @returns {Promise<void>}
 		 */
-		// TODO: This function used to load vue files using SFC, but since that has been removed, this function appears to do nothing.
-		// ?? Maybe this function should be removed or updated to do something else?
 		async _preFirstRender(context, options) {
 			await super._preFirstRender(context, options);
+
+			// Make the active tabs reactive, so components using useTabs follow changeTab
+			// -- The tabs the application was last showing for its document are restored
+			if (!isReactive(this.tabGroups)) this.tabGroups = reactive(this.tabGroups ?? {});
+			Object.assign(this.tabGroups, VueTabGroups.get(this.#getTabGroupsKey()) ?? {});
+		}
+
+		/**
+		 * Perform post-render operations after the first render of the Vue application.
+		 * @param {Object} context - The render context.
+		 * @param {Object} options - The render options.
+		 * @returns {Promise<void>}
+		 */
+		async _onFirstRender(context, options) {
+			await super._onFirstRender(context, options);
+
+			// Keep the window title localized when the language or the translations change
+			this.#scope ??= effectScope(true);
+			this.#scope.run(() => watchEffect(() => {
+				const title = this.title;
+				if (this.window?.title) this.window.title.textContent = title;
+			}));
+		}
+
+		/**
+		 * Perform post-render operations after every render of the Vue application.
+		 * -- Waits for Vue to apply the changes of the render, the render hooks are called for them by the base application
+		 * @param {Object} context - The render context.
+		 * @param {Object} options - The render options.
+		 * @returns {Promise<void>}
+		 */
+		async _onRender(context, options) {
+			await super._onRender(context, options);
+			await nextTick();
 		}
 
 		/**
@@ -82,26 +623,42 @@ export function VueApplicationMixin(BaseApplication) {
 		 */
 		async _renderHTML(context, options) {
 			const rendered = {};
+			const parts = this._configureRenderParts(options);
 			if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _renderHTML |`, context, options);
+			this.#lifecycleRender = true;
+
+			// Prepare the props shared by every part once, they are updated in place afterwards
+			this.#sharedProps ??= reactive(this._prepareSharedProps(options));
 
 			// Loop through the parts and render them
 			for (const partId of options.parts) {
-				// Get the part from the PARTS object
-				const part = this.constructor.PARTS[partId];
+				// Get the part from the configured parts
+				const part = parts[partId];
 
-				// If part is not in the PARTS object, skip it
+				// If part is not configured, skip it
+				// -- Parts removed by _configureRenderParts are unmounted in _replaceHTML, so only warn about unknown parts
 				if (!part) {
-				  ui.notifications.warn(`Part "${partId}" is not a supported template part for ${this.constructor.name}`);
+				  if (!(partId in this.constructor.PARTS)) ui.notifications.warn(`Part "${partId}" is not a supported template part for ${this.constructor.name}`);
 				  continue;
 				}
 
-				// If props for the part don't exist, create them
-				if (!this.#props?.[partId]) this.#props[partId] = reactive(options?.props ?? part?.props ?? {});
+				// Get the props of the part from its context and the render options
+				const partProps = foundry.utils.mergeObject(await this._preparePartContext(partId, context, options) ?? {}, options?.props ?? {}, { inplace: false });
+
+				// If props for the part don't exist, create them from the part defaults and the render options
+				// -- The part defaults are cloned so instances never write back into the static PARTS object
+				// -- The persisted UI state of the part is restored over both, and saved when it changes
+				if (!this.#props?.[partId]) {
+					const props = foundry.utils.mergeObject(part?.props ?? {}, partProps, { inplace: false });
+					this.#props[partId] = reactive(foundry.utils.mergeObject(props, this.#getPersist()?.load().props?.[partId] ?? {}, { inplace: false }));
+					this.#watchPersistedProps(partId);
+				}
 				// If props for the part exist, merge the options into the existing props
-				else foundry.utils.mergeObject(this.#props[partId], options?.props ?? {}, { inplace: true, insertKeys: true});
+				// -- The props are reactive, so Vue only re-renders the components that use the changed values
+				else foundry.utils.mergeObject(this.#props[partId], partProps, { inplace: true, insertKeys: true, performDeletions: true });
 
 				// Get the Part and add it to the rendered object
-				rendered[partId] = await (part?.app ?? part?.component ?? part?.template);
+				rendered[partId] = await resolveVueComponent(part?.app ?? part?.component ?? part?.template);
 			}
 
 			if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _renderHTML | Vue Instances |`, this.#instance);
@@ -116,102 +673,511 @@ export function VueApplicationMixin(BaseApplication) {
 		 */
 		_replaceHTML(result, content, options) {
 			if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML |`, result, content, options);
+			const parts = this._configureRenderParts(options);
+
+			// Remove parts which are no longer configured for this render
+			for (const partId of Object.keys(this.#parts)) {
+				if (partId in parts) continue;
+				delete this.#parts[partId];
+				delete this.#props[partId];
+				this.#persistWatchers[partId]?.();
+				delete this.#persistWatchers[partId];
+			}
+
+			// Add the rendered parts, parts which are already mounted keep their component state
+			for (const [partId, component] of Object.entries(result)) {
+				if (this.#parts[partId] !== component) this.#parts[partId] = component;
+			}
+
+			this.#partConfigs = parts;
 
 			// Check if the Vue Instance exists, if not create it
 			if (!this.#instance) {
-				const Instance = this;
-				this.#instance = createApp({
-					render: () => Object.entries(result).map(([key, value]) =>
-						h('div', {
-							// Add a data attribute dynamically
-							'data-application-part': key,
-						}, [
-							// Insert the component inside this div along with the props for that component
-							h(value, { ...this.#props[key] })
-						])
-					)
-				}).mixin({
-					updated() {
-						if (Instance.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML | Vue Instance Updated |`, this, Instance?.options);
-
-						// Resize the application window after the Vue Instance is updated
-						if (Instance?.options?.position?.height === "auto") Instance.setPosition({ height: "auto" });
-
-						// Call the render method when the Vue Instance is updated
-						// -- This will call FoundryVTTs Hooks related to rendering when Vue is updated
-						// -- Useful for when other modules listen for rendering events to inject HTML
-						Instance.render();
-					}
-				});
+				this.#instance = this.#createVueApp({
+					// Render the parts in the order they are defined in PARTS
+					render: () => Object.keys(this.constructor.PARTS).filter(key => key in this.#parts).map(key => {
+						const part = this.#partConfigs[key] ?? this.constructor.PARTS[key];
 
-				// Attach .use() plugins to the Vue Instance
-				for (const partId of options.parts) {
-					const part = this.constructor.PARTS[partId];
-					if (part?.use) {
-						for (const [key, plugin] of Object.entries(part.use)) {
-							if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML | Mount Vue Instance | Use Plugin |`, key, plugin);
-							this.#instance.use(plugin.plugin, plugin?.options ?? {});
-						}
-					}
-				}
+						// Parts with `mount: 'app'` are mounted as their own Vue Instance
+						const vnode = (part?.mount === 'app')
+							? h(VueApplicationPartMount, {
+								key,
+								partId: key,
+								mount: (element) => this.#mountPartApp(key, element, content, options),
+								unmount: () => this.#unmountPartApp(key)
+							})
+							: this.#renderPart(key);
 
-				// Attach Part Listeners
-				this._attachPartListeners(content, options);
+						// Parts with a container are teleported into it, like the window header or a tab panel
+						const container = part?.container ? this.#getPartContainer(key, part.container) : null;
+						return container ? h(Teleport, { key: `${key}.container`, to: container }, [vnode]) : vnode;
+					}).concat(this.constructor.DEBUG ? [h(VueApplicationDebug, {
+						key: 'debug',
+						parts: Object.keys(this.#parts),
+						props: this.#props,
+						sharedProps: this.#sharedProps,
+						plugins: this.#pluginNames,
+						actions: Object.keys(this.options.actions ?? {})
+					})] : [])
+				}, parts, content, options);
 
 				if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML | Mount Vue Instance |`, this.#instance);
 
-				// Attach Shadow Root if Enabled
-				if (this.constructor.SHADOWROOT) content.attachShadow({ mode: 'open' });
-				let root = this.constructor.SHADOWROOT ? content.shadowRoot : content;
+				// Get the styles of the application and of every configured part
+				const styles = [...(this.constructor.STYLES ?? []), ...Object.values(parts).flatMap(part => part?.styles ?? [])];
+				let root = content;
 
-				// If Shadow Root is enabled, attach Styles to the Shadow Root
+				// Attach Shadow Root if Enabled, reusing the shadow root the content element already has
 				if (this.constructor.SHADOWROOT) {
-					const link = document.createElement('link');
-					link.rel = 'stylesheet';
-					link.href = '/modules/fvtt-vue-vite/dist/style.css';
-					content.shadowRoot.appendChild(link);
+					const { mode = 'open', adoptCoreStyles = false } = (this.constructor.SHADOWROOT === true) ? {} : this.constructor.SHADOWROOT;
+					const shadowRoot = content.shadowRoot ?? content.attachShadow({ mode });
+					shadowRoot.replaceChildren();
+
+					// Attach Styles to the Shadow Root, including the styles collected from Single File Components
+					if (adoptCoreStyles) adoptStyles(shadowRoot, [getCoreStyleSheet()]);
+					adoptStyles(shadowRoot, styles);
+					this.#unsubscribeStyles = subscribeStyles(shadowRoot);
+					this.#styleTarget = shadowRoot;
 
 					const mountPoint = document.createElement('div');
-					root.appendChild(mountPoint);
+					shadowRoot.appendChild(mountPoint);
 					root = mountPoint;
 				}
+				// Without a Shadow Root the styles are added to the document
+				else {
+					adoptStyles(document, styles);
+					this.#styleTarget = document;
+				}
 
 				// Mount the Vue Instance
 				if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML | Root |`, root);
-				this.#instance.mount(root);
+				this.#root = root;
+				try {
+					this.#instance.mount(root);
+				}
+				catch (error) {
+					// Show the error instead of leaving the window blank
+					this._onVueError(error, { info: 'mount' });
+					root.replaceChildren(Object.assign(document.createElement('div'), { className: 'vue-application-error', textContent: error?.message ?? String(error) }));
+				}
+
+				// Delegate the data-action clicks Foundry can't see, clicks inside a shadow root and middle clicks
+				this.#attachActionListeners(this.constructor.SHADOWROOT ? root.getRootNode() : content);
+			}
+		}
+
+		/**
+		 * Create a Vue Instance with the plugins, listeners and lifecycle of the application.
+		 * The root Vue Instance and the parts mounted as their own Vue Instance are created the same way.
+		 * @private
+		 * @param {Object} component - The root component of the Vue Instance.
+		 * @param {Object<string, Object>} parts - The configured parts.
+		 * @param {HTMLElement} content - The content element.
+		 * @param {Object} options - The render options.
+		 * @returns {import('vue').App} - The Vue Instance, not mounted yet.
+		 */
+		#createVueApp(component, parts, content, options) {
+			const Instance = this;
+			const app = createApp(component).mixin({
+				beforeMount() {
+					// Add the styles of Single File Components while they are mounted
+					acquireStyles(Instance.#styleTarget, this.$.type);
+
+					// Track the mounted instances, so they can be updated when their component is reloaded
+					if (!Instance.#mounted.has(this.$.type)) Instance.#mounted.set(this.$.type, new Set());
+					Instance.#mounted.get(this.$.type).add(this.$);
+				},
+				unmounted() {
+					releaseStyles(Instance.#styleTarget, this.$.type);
+
+					const instances = Instance.#mounted.get(this.$.type);
+					instances?.delete(this.$);
+					if (!instances?.size) Instance.#mounted.delete(this.$.type);
+				},
+				updated() {
+					if (Instance.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML | Vue Instance Updated |`, this, Instance?.options);
+
+					// Queue the part that was updated, the render hooks are called once per tick for every updated part
+					Instance.#queuePartUpdate(this.$el);
+				}
+			});
+
+			// Attach .use() plugins to the Vue Instance
+			// -- Plugins registered with registerVuePlugin are attached to every Vue Instance, like the shared stores
+			// -- Plugins for every configured part are attached, so parts added by a later render can use them
+			// -- A plugin listed more than once is only attached once, with the options it was first listed with
+			const plugins = new Map(getVuePlugins());
+			const pluginNames = new Map([...plugins.keys()].map(plugin => [plugin, plugin?.name ?? 'Global plugin']));
+			for (const part of Object.values(parts)) {
+				if (part?.use) {
+					for (const [key, plugin] of Object.entries(part.use)) {
+						if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _replaceHTML | Mount Vue Instance | Use Plugin |`, key, plugin);
+						if (plugins.has(plugin.plugin)) continue;
+						plugins.set(plugin.plugin, plugin?.options ?? {});
+						pluginNames.set(plugin.plugin, key);
+					}
+				}
+			}
+			for (const [plugin, pluginOptions] of plugins) app.use(plugin, pluginOptions);
+			this.#pluginNames = [...pluginNames.values()];
+
+			// Errors which are not captured by a part, like errors of the root component or of a watcher
+			app.config.errorHandler = (error, instance, info) => {
+				this._onVueError(error, { partId: getInstancePartId(instance), info, componentStack: getComponentStack(instance) });
+			};
+
+			// Attach Part Listeners
+			this._attachPartListeners(content, options, app);
+			return app;
+		}
+
+		/**
+		 * Render a part inside its VueApplicationPart wrapper.
+		 * @private
+		 * @param {string} key - The id of the part.
+		 * @returns {VNode} - The rendered part.
+		 */
+		#renderPart(key) {
+			return h(VueApplicationPart, {
+				// The version changes the key, so a part can be remounted without changing its component
+				key: `${key}.${this.#partVersions[key] ?? 0}`,
+				// Add a data attribute dynamically and provide the part id to its components
+				partId: key,
+				// The component rendered instead of the part when it throws an error
+				fallback: this.#partConfigs[key]?.fallback ?? null,
+			}, () => [
+				// Insert the component inside this div along with the shared props and the props for that component
+				h(this.#parts[key], { ...this.#sharedProps, ...this.#props[key] })
+			]);
+		}
+
+		/**
+		 * Find the container a part is teleported into, in the shadow root or in the application element.
+		 * -- The container must exist before the part is rendered, a part without its container is rendered in place
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 * @param {string|HTMLElement} container - The container element, or a selector for it.
+		 * @returns {HTMLElement|null} - The container element.
+		 */
+		#getPartContainer(partId, container) {
+			if (container instanceof HTMLElement) return container;
+
+			const shadowRoot = this.#root?.getRootNode?.();
+			const element = ((shadowRoot instanceof ShadowRoot) ? shadowRoot.querySelector(container) : null) ?? this.element?.querySelector(container) ?? null;
+			if (!element) console.warn(`VueApplicationMixin | _replaceHTML | No container "${container}" found for part`, partId);
+			return element;
+		}
+
+		/**
+		 * Mount a part as its own Vue Instance.
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 * @param {HTMLElement} element - The element to mount the part in.
+		 * @param {HTMLElement} content - The content element.
+		 * @param {Object} options - The render options.
+		 */
+		#mountPartApp(partId, element, content, options) {
+			this.#unmountPartApp(partId);
+			this.#partApps[partId] = this.#createVueApp({ render: () => (partId in this.#parts) ? this.#renderPart(partId) : null }, this.#partConfigs, content, options);
+			this.#partApps[partId].mount(element);
+		}
+
+		/**
+		 * Unmount a part which was mounted as its own Vue Instance.
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 */
+		#unmountPartApp(partId) {
+			this.#partApps[partId]?.unmount();
+			delete this.#partApps[partId];
+		}
+
+		/**
+		 * Attach the delegated data-action listeners.
+		 * -- Foundry handles clicks and right clicks in the light DOM, but events from a shadow root are retargeted to its host
+		 * @private
+		 * @param {HTMLElement|ShadowRoot} target - The element or shadow root the Vue Instance is mounted in.
+		 */
+		#attachActionListeners(target) {
+			this.#actionListeners = new AbortController();
+			const types = (target instanceof ShadowRoot) ? ['click', 'contextmenu', 'auxclick'] : ['auxclick'];
+
+			for (const type of types) {
+				target.addEventListener(type, (event) => {
+					// Right clicks are handled through their contextmenu event
+					if (event.type === 'auxclick' && event.button === 2) return;
+					const actionTarget = event.target?.closest?.('[data-action]');
+					if (actionTarget && target.contains(actionTarget)) this.#onClickAction(event, actionTarget);
+				}, { signal: this.#actionListeners.signal });
+			}
+		}
+
+		/**
+		 * Call the action of a data-action element, like ApplicationV2 does for clicks in its element.
+		 * -- Actions are `options.actions`, merged from the whole inheritance chain and the constructor options
+		 * -- An action is a function, or `{ handler, buttons }` to handle other mouse buttons than the primary one
+		 * @private
+		 * @param {PointerEvent} event - The triggering event.
+		 * @param {HTMLElement} target - The element with the data-action attribute.
+		 */
+		#onClickAction(event, target) {
+			const action = target.dataset.action;
+			switch (action) {
+				case 'close':
+					event.stopPropagation();
+					if (event.button === 0) this.close();
+					return;
+				case 'tab':
+					if (event.button === 0) this.changeTab(target.dataset.tab, target.dataset.group, { event });
+					return;
 			}
+
+			const handler = this.#getAction(action);
+			if (handler) handler(event, target);
+			else this._onClickAction?.(event, target);
+		}
+
+		/**
+		 * Get an action from `options.actions`, bound to the application.
+		 * @private
+		 * @param {string} name - The name of the action.
+		 * @returns {Function|null} - Calls the action with `(event, target, ...args)`, or null if the action doesn't exist.
+		 */
+		#getAction(name) {
+			let handler = this.options.actions?.[name];
+			if (!handler) return null;
+
+			let buttons = [0];
+			if (typeof handler === 'object') ({ handler, buttons = [0] } = handler);
+			if (!(handler instanceof Function)) return null;
+
+			return (event, target = event?.currentTarget ?? event?.target, ...args) => {
+				// Mouse events only call the action for its buttons, other calls always do
+				if ((event instanceof MouseEvent) && !buttons.includes(event.button)) return;
+				return handler.call(this, event, target, ...args);
+			};
 		}
 
 
 		
+		/**
+		 * Queue the part containing an updated Vue element for the render hooks.
+		 * @private
+		 * @param {Node} el - The root node of the updated component.
+		 */
+		#queuePartUpdate(el) {
+			// Fragments and text nodes can't look up their part, so start from their parent element
+			const element = el instanceof Element ? el : el?.parentElement;
+			const partElement = element?.closest('[data-application-part]');
+
+			// Updates of the root instance add or remove parts, which only happens through render()
+			if (!partElement) return;
+
+			// Flush the queue on the next tick so every update Vue makes in one tick is batched
+			if (!this.#updatedParts.size) nextTick(() => this.#onPartsUpdated());
+			this.#updatedParts.add(partElement);
+		}
+
+		/**
+		 * Bridge Vue updates to Foundry by calling `_onPartUpdated` and the render hooks for every updated part.
+		 * -- This will call FoundryVTTs Hooks related to rendering when Vue is updated, without running the render lifecycle again
+		 * -- Useful for when other modules listen for rendering events to inject HTML
+		 * -- Updates made by render() only call `_onPartUpdated`, the render hooks are called by the render itself
+		 * @private
+		 */
+		#onPartsUpdated() {
+			const partElements = [...this.#updatedParts];
+			this.#updatedParts.clear();
+			if (!this.rendered) return;
+
+			// Resize the application window after the Vue Instance is updated
+			if (this.options?.position?.height === "auto") this.setPosition({ height: "auto" });
+
+			// Call the render hooks for each class in the inheritance chain with the updated part element
+			for (const partElement of partElements) {
+				const partId = partElement.dataset.applicationPart;
+				this._onPartUpdated(partId, partElement);
+				if (this.#lifecycleRender) continue;
+				for (const cls of this.constructor.inheritanceChain?.() ?? [this.constructor]) {
+					if (!cls.name) continue;
+					Hooks.callAll(`render${cls.name}`, this, partElement, this.#props[partId] ?? {}, { parts: [partId], isFirstRender: false, isVueUpdate: true });
+				}
+			}
+		}
+
+		/**
+		 * Handle an error thrown by a component of the Vue application.
+		 * Errors of a part's components are rendered in the part instead of its components, see the part's `fallback` config.
+		 * -- Calls the `vueApplicationError` hook with `(application, error, { partId, info, componentStack })`
+		 * -- Shows an error notification, at most once every few seconds
+		 *
+		 * @param {Error} error - The error.
+		 * @param {Object} [details] - Where the error happened.
+		 * @param {string} [details.partId] - The id of the part the error happened in.
+		 * @param {string} [details.info] - The Vue lifecycle the error happened in, like `render function` or `setup function`.
+		 * @param {string} [details.componentStack] - The names of the components the error happened in.
+		 */
+		_onVueError(error, { partId, info, componentStack } = {}) {
+			console.error(`VueApplicationMixin | ${this.constructor.name} | Error in ${partId ? `part "${partId}"` : 'the Vue Instance'} (${info})`, error, componentStack ? `\n${componentStack}` : '');
+			Hooks.callAll('vueApplicationError', this, error, { partId, info, componentStack });
+
+			const now = Date.now();
+			if (now - this.#lastErrorNotification < 5000) return;
+			this.#lastErrorNotification = now;
+			ui.notifications?.error(`${this.title || this.constructor.name}: ${error?.message ?? error}`);
+		}
+
+		/**
+		 * Change the active tab of a tab group.
+		 * Replaces ApplicationV2's implementation, which requires the tab elements to exist in the light DOM.
+		 * -- Components using useTabs, TabNav and TabPanel re-render from the reactive `tabGroups`
+		 * -- Plain `.tabs` and `.tab` elements are toggled like ApplicationV2 does, including inside a shadow root
+		 * -- The active tabs are remembered for the document of the application
+		 *
+		 * @param {string} tab - The tab to activate.
+		 * @param {string} group - The tab group.
+		 * @param {Object} [options] - The change options.
+		 * @param {Event} [options.event] - The triggering event.
+		 * @param {boolean} [options.force=false] - Change the tab even if it is already active.
+		 * @param {boolean} [options.updatePosition=true] - Resize the window when its width or height is `auto`.
+		 */
+		changeTab(tab, group, { event, force = false, updatePosition = true } = {}) {
+			if (!tab || !group) throw new Error('You must pass both the tab and tab group identifier');
+			if ((this.tabGroups[group] === tab) && !force) return;
+
+			this.tabGroups[group] = tab;
+			VueTabGroups.set(this.#getTabGroupsKey(), { ...toRaw(this.tabGroups) });
+
+			const shadowRoot = this.#root?.getRootNode?.();
+			for (const root of [this.element, (shadowRoot instanceof ShadowRoot) ? shadowRoot : null]) {
+				for (const element of root?.querySelectorAll(`.tabs > [data-group="${group}"]`) ?? []) element.classList.toggle('active', element.dataset.tab === tab);
+				for (const element of root?.querySelectorAll(`.tab[data-group="${group}"]`) ?? []) element.classList.toggle('active', element.dataset.tab === tab);
+			}
+
+			if (!updatePosition || !this.rendered) return;
+			const position = {};
+			if (this.options.position?.width === 'auto') position.width = 'auto';
+			if (this.options.position?.height === 'auto') position.height = 'auto';
+			if (!foundry.utils.isEmpty(position)) nextTick(() => this.setPosition(position));
+		}
+
+		/**
+		 * Save the position of the window when it changes, if the application persists it.
+		 * @param {Object} position - The new position.
+		 */
+		_onPosition(position) {
+			super._onPosition?.(position);
+			if (this.constructor.PERSIST?.position && this.rendered && !this.minimized) this.#savePersistedState();
+		}
+
+		/**
+		 * Check if the current user may drop data onto the application, document sheets only accept drops while they are editable.
+		 * @param {DragEvent} event - The drop event.
+		 * @param {Object} data - The drag data.
+		 * @returns {boolean} - Whether the drop is allowed.
+		 */
+		_canDragDrop(event, data) {
+			return this.isEditable ?? true;
+		}
+
+		/**
+		 * Handle data dropped on a `v-droptarget`, or through `useDragDrop`.
+		 * The dropped document is resolved from the UUID of the data and passed to the `_onDrop{Type}` method, like `_onDropItem(event, item, data, target)`.
+		 * @param {DragEvent} event - The drop event.
+		 * @param {Object} data - The drag data, in Foundry's `{ type, uuid }` format.
+		 * @param {HTMLElement} target - The drop target.
+		 * @returns {Promise<*>} - The result of the `_onDrop{Type}` method.
+		 */
+		async _onDropData(event, data, target) {
+			if (!this._canDragDrop(event, data)) return;
+
+			const handler = this[`_onDrop${data.type}`];
+			if (!(handler instanceof Function)) return (console.warn(`VueApplicationMixin | _onDropData | No _onDrop${data.type} method found for`, this.constructor.name));
+			return await handler.call(this, event, await resolveDragData(data), data, target);
+		}
+
+		/**
+		 * Update the mounted instances of a component which was reloaded by `vueReloadTemplate`.
+		 * The component definition was already updated in place.
+		 * -- When only the render function changed, the instances are re-rendered and keep their state
+		 * -- Otherwise the parts rendering the component are remounted, their props are kept
+		 *
+		 * @param {Object} component - The reloaded component.
+		 * @param {Object} [options] - The reload options.
+		 * @param {boolean} [options.renderOnly=false] - Whether only the render function of the component changed.
+		 */
+		_onReloadComponent(component, { renderOnly = false } = {}) {
+			const instances = [...(this.#mounted.get(component) ?? [])];
+			if (!instances.length) return;
+			if (this.constructor.DEBUG) console.log(`VueApplicationMixin | _onReloadComponent |`, component, instances, renderOnly);
+
+			// Vue caches the normalized options of each component, drop them so the new definition is used
+			for (const app of [this.#instance, ...Object.values(this.#partApps)]) {
+				app?._context?.propsCache?.delete(component);
+				app?._context?.emitsCache?.delete(component);
+				app?._context?.optionsCache?.delete(component);
+			}
+
+			if (renderOnly) {
+				for (const instance of instances) {
+					instance.render = component.render;
+					instance.renderCache = [];
+					instance.proxy.$forceUpdate();
+				}
+				return;
+			}
+
+			// Find the part of each instance through its VueApplicationPart wrapper, and remount those parts
+			const partIds = new Set(instances.map(getInstancePartId).filter(Boolean));
+			for (const partId of partIds) this.#partVersions[partId] = (this.#partVersions[partId] ?? 0) + 1;
+		}
+
 		/**
 		 * Attaches event listeners to the Vue Instance.
 		 *
 		 * @param {HTMLElement} content - The content element.
 		 * @param {Object} options - The options object.
+		 * @param {import('vue').App} [app] - The Vue Instance to attach the listeners to, parts mounted as their own Vue Instance have one each.
 		 */
-		_attachPartListeners(content, options) {
+		_attachPartListeners(content, options, app = this.#instance) {
+			// Attach the application itself, so components can reach it and its document
+			app.provide('application', this);
+
 			// Attach event listeners to the Vue Instance
 			// -- Attach the onChange event listener
-			this.#instance.provide('onChange', (componentInstance, ...args) => {
-				this.#onChangeForm.bind(this, componentInstance.target.closest('[data-application-part]'), componentInstance)(...args);
+			app.provide('onChange', (event, ...args) => {
+				this.#onChangeForm.bind(this, event?.target?.closest?.('[data-application-part]'), event)(...args);
 			});
 			// -- Attach the onInput event listener
-			this.#instance.provide('onInput', (componentInstance, ...args) => {
-				this.#onChangeForm.bind(this, componentInstance.target.closest('[data-application-part]'), componentInstance)(...args);
+			app.provide('onInput', (event, ...args) => {
+				this.#onChangeForm.bind(this, event?.target?.closest?.('[data-application-part]'), event)(...args);
 			});
 			// -- Attach the onSubmit event listener
-			this.#instance.provide('onSubmit', (componentInstance, ...args) => {
-				this.#onSubmitForm.bind(this, componentInstance.target.closest('[data-application-part]'), componentInstance)(...args);
+			app.provide('onSubmit', (event, ...args) => {
+				this.#onSubmitForm.bind(this, event?.target?.closest?.('[data-application-part]'), event)(...args);
 			});
 
-			// Attach this.constructor.DEFAULT_OPTIONS.actions to the Vue Instance
-			if (this.constructor.DEFAULT_OPTIONS?.actions) {
-				// Loop through the actions and bind them to the Vue Instance
-				for (const [key, action] of Object.entries(this.constructor.DEFAULT_OPTIONS.actions)) {
-					this.#instance.provide(key, action.bind(this));
-				}
+			// Attach the reactive form data to the Vue Instance
+			// -- These are called during a component's setup, so the part id is injected from the part the component is rendered in
+			app.provide('useFormData', (selector) => this.#getFormState(inject('applicationPart'), selector).api);
+			app.provide('useField', (path, selector) => this.#getFormField(inject('applicationPart'), path, selector));
+
+			// Attach this.options.actions to the Vue Instance, they are merged from the whole inheritance chain
+			// -- Actions are provided by name, and through useAction(name) which doesn't collide with other provided keys
+			for (const key of Object.keys(this.options.actions ?? {})) {
+				const action = this.#getAction(key);
+				if (action) app.provide(key, action);
 			}
+			app.provide('useTabs', (group, initial) => this.#getTabGroup(group, initial));
+
+			// Attach the drag and drop directives, drops are handled by _onDropData
+			app.directive('draggable', vDraggable);
+			app.directive('droptarget', createDropTarget(this));
+
+			// Attach the context menu and tooltip directives, component tooltips are resolved like parts
+			app.directive('context-menu', vContextMenu);
+			app.directive('tooltip', createTooltipDirective(app, { resolveComponent: resolveVueComponent }));
+			app.provide('useAction', (name) => this.#getAction(name) ?? (() => console.warn(`VueApplicationMixin | useAction | No action found named`, name)));
 		}
 
 		/**
@@ -224,6 +1190,37 @@ export function VueApplicationMixin(BaseApplication) {
 			// Unmount the Vue Instance
 			if (this.#instance) this.#instance.unmount();
 
+			// Submit the changes still waiting for the debounce of their form before the form data is discarded
+			// -- This includes the changes components save while they are unmounted, like the content of an editor
+			await this.#flushFormSubmits();
+
+			// Reset the Vue Instance so the application mounts fresh when it is rendered again
+			this.#instance = null;
+			this.#parts = shallowReactive({});
+			this.#props = {};
+			this.#sharedProps = null;
+			this.#root = null;
+			this.#updatedParts.clear();
+			this.#lifecycleRender = false;
+			this.#mounted.clear();
+			this.#partVersions = shallowReactive({});
+			this.#actionListeners?.abort();
+			this.#actionListeners = null;
+			this.#partApps = {};
+			this.#partConfigs = {};
+			this.#positionRestored = false;
+
+			// Stop adding Single File Component styles to the shadow root
+			this.#unsubscribeStyles?.();
+			this.#unsubscribeStyles = null;
+			this.#styleTarget = null;
+
+			// Stop the form data watchers
+			this.#scope?.stop();
+			this.#scope = null;
+			this.#forms = {};
+			this.#persistWatchers = {};
+
 			// Call the close method of the base application
 			await super.close(options);
 		}
@@ -239,7 +1236,7 @@ export function VueApplicationMixin(BaseApplication) {
 		 * @returns {Promise<void>} - A promise that resolves when the form submission is handled.
 		 */
 		async #onSubmitForm(htmlElement, event) {
-			event.preventDefault();
+			event?.preventDefault?.();
 
 			// Get the part ID from the data attribute
 			const partId = htmlElement?.dataset?.applicationPart;
@@ -253,8 +1250,8 @@ export function VueApplicationMixin(BaseApplication) {
 			for (const [selector, formConfig] of Object.entries(part.forms)) {
 				const form = htmlElement.matches(selector) ? htmlElement : htmlElement.querySelector(selector);
 
-				// Skip if form is not found
-				if (!form) return;
+				// Skip if form is not found, other forms of the part may still match
+				if (!form) continue;
 
 				// Get the form data and call the handler function
 				const { handler, closeOnSubmit } = formConfig;
@@ -286,13 +1283,312 @@ export function VueApplicationMixin(BaseApplication) {
 			for (const [selector, formConfig] of Object.entries(part.forms)) {
 				const form = htmlElement.matches(selector) ? htmlElement : htmlElement.querySelector(selector);
 
-				// Skip if form is not found
-				if (!form) return;
+				// Skip if form is not found, other forms of the part may still match
+				if (!form) continue;
 
 				// Call the handler function if it exists
 				if (formConfig?.submitOnChange) this.#onSubmitForm(htmlElement, event);
 			}
 		}
+
+		/**
+		 * Get the persistence of the application's UI state, or null if the application doesn't persist its state.
+		 * -- Document flags keep the state of each user in the document, settings and user flags keep the state of each document
+		 *
+		 * @private
+		 * @returns {{ load: Function, save: Function }|null} - `load()` returns the persisted state, `save(state)` saves it after the debounce.
+		 */
+		#getPersist() {
+			const config = this.constructor.PERSIST;
+			if (!config) return null;
+			if (this.#persist) return this.#persist;
+
+			const { storage = 'client', scope, key = this.constructor.name, debounce = 500 } = config;
+			const document = this.document ?? null;
+			const persistence = getPersistence({ storage, scope, key: (storage === 'document') ? `${key}.${game.user.id}` : key, document });
+			const entry = (storage === 'document') ? null : getPersistedStateKey(document);
+			if (entry && document) watchPersistedDocuments(persistence, `${storage}.${scope}.${key}`, document.documentName);
+
+			const load = () => (entry ? persistence.load()?.[entry] : persistence.load()) ?? {};
+			const save = foundry.utils.debounce(async (state) => {
+				try {
+					await persistence.save(entry ? { ...persistence.load(), [entry]: state } : state);
+				}
+				catch (error) {
+					console.error(`VueApplicationMixin | Failed to persist the state of ${this.constructor.name}`, error);
+				}
+			}, debounce);
+
+			return this.#persist = { load, save };
+		}
+
+		/**
+		 * Save the persisted props of a part when they change.
+		 *
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 */
+		#watchPersistedProps(partId) {
+			const paths = this.constructor.PERSIST?.props?.[partId];
+			if (!paths?.length) return;
+
+			// A part which is added again watches its new props, the watcher of its previous props is stopped
+			this.#persistWatchers[partId]?.();
+			this.#scope ??= effectScope(true);
+			this.#persistWatchers[partId] = this.#scope.run(() => watch(() => pickPaths(this.#props[partId], paths), () => this.#savePersistedState(), { deep: true }));
+		}
+
+		/**
+		 * Save the UI state of the application, the state of parts which aren't rendered is kept.
+		 *
+		 * @private
+		 */
+		#savePersistedState() {
+			const persist = this.#getPersist();
+			if (!persist) return;
+
+			const config = this.constructor.PERSIST;
+			const previous = persist.load();
+			const state = { props: { ...previous.props } };
+			if (this.document?.uuid) state.uuid = this.document.uuid;
+
+			for (const [partId, paths] of Object.entries(config.props ?? {})) {
+				if (this.#props[partId]) state.props[partId] = pickPaths(this.#props[partId], paths);
+			}
+
+			// The size is only kept when it isn't automatic
+			if (config.position && this.rendered) {
+				const { left, top, width, height } = this.position;
+				state.position = { left, top };
+				if (this.options.position?.width !== 'auto') state.position.width = width;
+				if (this.options.position?.height !== 'auto') state.position.height = height;
+			}
+			else if (previous.position) state.position = previous.position;
+
+			persist.save(state);
+		}
+
+		/**
+		 * Get the key the active tabs of the application are remembered under.
+		 * -- Document sheets share the tabs of their document, other applications remember them by id
+		 *
+		 * @private
+		 * @returns {string} - The key of the active tabs.
+		 */
+		#getTabGroupsKey() {
+			return `${this.constructor.name}.${this.document?.uuid ?? this.id}`;
+		}
+
+		/**
+		 * Get a tab group, activating its initial tab when the group has no active tab yet.
+		 *
+		 * @private
+		 * @param {string} group - The tab group.
+		 * @param {string} [initial] - The initial tab.
+		 * @returns {{ group: string, active: import('vue').WritableComputedRef<string|null>, activate: Function, isActive: Function }} - The tab group.
+		 */
+		#getTabGroup(group, initial) {
+			if (initial && !this.tabGroups[group]) this.tabGroups[group] = initial;
+			return {
+				group,
+				active: computed({
+					get: () => this.tabGroups[group] ?? null,
+					set: (tab) => this.changeTab(tab, group)
+				}),
+				activate: (tab, event) => this.changeTab(tab, group, { event }),
+				isActive: (tab) => this.tabGroups[group] === tab
+			};
+		}
+
+		/**
+		 * Get the form config a part's form data is submitted through.
+		 * -- Falls back to the application's form config, which document sheets use to update their document
+		 *
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 * @param {string} [selector] - The selector of the form config, defaults to the first form of the part.
+		 * @returns {{ selector: string|undefined, formConfig: Object|null }} - The selector and the form config.
+		 */
+		#getFormConfig(partId, selector) {
+			const forms = this.constructor.PARTS[partId]?.forms ?? {};
+			selector ??= Object.keys(forms)[0];
+			return { selector, formConfig: forms[selector] ?? this.options?.form ?? null };
+		}
+
+		/**
+		 * Get the reactive form data of a part, creating it the first time it is used.
+		 *
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 * @param {string} [selector] - The selector of the form config to submit through.
+		 * @returns {Object} - The internal form state of the part.
+		 */
+		#getFormState(partId, selector) {
+			// Each form config of a part has its own form data, the first one is used when no selector is given
+			const { selector: formSelector, formConfig } = this.#getFormConfig(partId, selector);
+			const forms = this.#forms[partId] ??= {};
+			const key = formSelector ?? '';
+			if (forms[key]) return forms[key];
+
+			const data = this._prepareFormData(partId, formSelector);
+			const state = forms[key] = {
+				partId,
+				selector: formSelector,
+				config: formConfig,
+				snapshot: foundry.utils.deepClone(data),
+				data: reactive(data),
+				errors: reactive({}),
+				dirty: ref(false)
+			};
+
+			// Create the watchers outside of the component, so they live as long as the application
+			this.#scope ??= effectScope(true);
+			this.#scope.run(() => {
+				// -- Debounce submitting, so typing into a field doesn't submit every keystroke
+				const requestSubmit = foundry.utils.debounce(() => this.#submitFormState(state), formConfig?.debounce ?? 250);
+
+				// -- Validate every change and submit it if the form submits on change
+				watch(state.data, () => {
+					state.dirty.value = !foundry.utils.isEmpty(this.#getFormChanges(state));
+					this.#validateFormState(state);
+					if (state.config?.submitOnChange) requestSubmit();
+				}, { deep: true });
+
+				state.api = reactive({
+					data: state.data,
+					errors: state.errors,
+					dirty: state.dirty,
+					submit: (event) => this.#submitFormState(state, event),
+					reset: () => this.#resetFormState(state, { keepChanges: false })
+				});
+			});
+
+			return state;
+		}
+
+		/**
+		 * Reset a part's form data to the data returned by `_prepareFormData`.
+		 *
+		 * @private
+		 * @param {Object} state - The internal form state of the part.
+		 * @param {Object} [options] - The reset options.
+		 * @param {boolean} [options.keepChanges=true] - Keep the changes which have not been submitted yet.
+		 */
+		#resetFormState(state, { keepChanges = true } = {}) {
+			const changes = keepChanges ? this.#getFormChanges(state) : {};
+			const data = this._prepareFormData(state.partId, state.selector);
+			state.snapshot = foundry.utils.deepClone(data);
+
+			// Merge the data in place, so only the components using the changed fields re-render
+			foundry.utils.mergeObject(state.data, foundry.utils.mergeObject(data, changes), { inplace: true });
+			state.dirty.value = !foundry.utils.isEmpty(changes);
+		}
+
+		/**
+		 * Get a single field of a part's reactive form data.
+		 *
+		 * @private
+		 * @param {string} partId - The id of the part.
+		 * @param {string} path - The path of the field in the form data.
+		 * @param {string} [selector] - The selector of the form config to submit through.
+		 * @returns {{ name: string, value: import('vue').WritableComputedRef, error: import('vue').ComputedRef<string|null> }} - The field.
+		 */
+		#getFormField(partId, path, selector) {
+			const state = this.#getFormState(partId, selector);
+			return {
+				name: path,
+				value: computed({
+					get: () => foundry.utils.getProperty(state.data, path),
+					set: (value) => foundry.utils.setProperty(state.data, path, value)
+				}),
+				error: computed(() => state.errors[path] ?? null)
+			};
+		}
+
+		/**
+		 * Get the changes of a part's form data which have not been submitted yet.
+		 *
+		 * @private
+		 * @param {Object} state - The internal form state of the part.
+		 * @returns {Object} - The changed form data.
+		 */
+		#getFormChanges(state) {
+			return foundry.utils.diffObject(state.snapshot, foundry.utils.deepClone(toRaw(state.data)));
+		}
+
+		/**
+		 * Validate the changes of a part's form data and update its reactive errors.
+		 *
+		 * @private
+		 * @param {Object} state - The internal form state of the part.
+		 * @returns {boolean} - Whether the changes are valid.
+		 */
+		#validateFormState(state) {
+			const errors = this._validateFormData(state.partId, this.#getFormChanges(state), state.selector) ?? {};
+
+			// Update the errors in place, so only the fields whose error changed re-render
+			for (const path of Object.keys(state.errors)) {
+				if (!(path in errors)) delete state.errors[path];
+			}
+			Object.assign(state.errors, errors);
+
+			return foundry.utils.isEmpty(errors);
+		}
+
+		/**
+		 * Submit the changes of every form which submits on change, without waiting for their debounce.
+		 *
+		 * @private
+		 * @returns {Promise<void>} - A promise that resolves when the changes are submitted.
+		 */
+		async #flushFormSubmits() {
+			for (const state of Object.values(this.#forms).flatMap(forms => Object.values(forms))) {
+				if (state.config?.submitOnChange) await this.#submitFormState(state, undefined, { close: false });
+			}
+		}
+
+		/**
+		 * Submits the changes of a part's form data through its form handler.
+		 *
+		 * @private
+		 * @param {Object} state - The internal form state of the part.
+		 * @param {Event} [event] - The event which triggered the submission.
+		 * @param {Object} [options] - The submit options.
+		 * @param {boolean} [options.close=true] - Close the application afterwards if the form config has `closeOnSubmit`.
+		 * @returns {Promise<void>} - A promise that resolves when the form data is submitted.
+		 */
+		async #submitFormState(state, event, { close = true } = {}) {
+			const changes = this.#getFormChanges(state);
+
+			// Skip if nothing changed or the changes are invalid
+			if (foundry.utils.isEmpty(changes) || !this.#validateFormState(state)) return;
+
+			const { handler, closeOnSubmit } = state.config ?? {};
+			if (!(handler instanceof Function)) return (console.warn("VueApplicationMixin | submitFormData | No form handler found for part", state.partId));
+
+			// Get the form element of the part, falling back to the part itself
+			const partElement = this.#root?.querySelector(`[data-application-part="${state.partId}"]`) ?? null;
+			const form = (state.selector && (partElement?.matches(state.selector) ? partElement : partElement?.querySelector(state.selector))) || partElement;
+
+			// Mark the changes as submitted before calling the handler, so changes made while it runs are submitted next time
+			const snapshot = state.snapshot;
+			state.snapshot = foundry.utils.mergeObject(snapshot, changes, { inplace: false });
+			state.dirty.value = false;
+
+			try {
+				// The handler receives the changes the same way it receives FormDataExtended
+				await handler.call(this, event ?? new Event('submit'), form, { object: foundry.utils.flattenObject(changes) });
+			}
+			catch (error) {
+				state.snapshot = snapshot;
+				state.dirty.value = true;
+				ui.notifications.error(error.message);
+				return;
+			}
+
+			// Close the form if closeOnSubmit is true
+			if (closeOnSubmit && close) await this.close();
+		}
 	}
 
 	return VueApplication;
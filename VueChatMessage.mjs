@@ -0,0 +1,199 @@
+import { createSSRApp, h, inject, reactive } from 'vue';
+import { vueGetTemplate, vueRenderTemplate } from './VueGetTemplate.mjs';
+import { acquireStyles, releaseStyles } from './VueStyles.mjs';
+
+/**
+ * The flag scopes whose chat messages are hydrated, with the plugins their Vue applications use.
+ * @type {Map<string, { use: Object<string, { plugin: Object, options?: Object }> }>}
+ */
+const VueChatMessageScopes = new Map();
+
+/**
+ * The Vue applications hydrated into rendered chat messages, keyed by message id and then by message element.
+ * -- A message can be rendered more than once, for example in the chat log and in a chat popout
+ * @type {Map<string, Map<HTMLElement, { app: import('vue').App, component: Object, connected: boolean }>>}
+ */
+const VueChatMessageApps = new Map();
+
+/**
+ * The hook ids and the observer which are registered while any scope is registered.
+ * @type {{ hooks: Object<string, number>, observer: MutationObserver }|null}
+ */
+let VueChatMessageListeners = null;
+
+/**
+ * Get the Vue template stored in the flags of a chat message.
+ * @param {ChatMessage} message - The chat message.
+ * @returns {{ scope: string, path: string, props: Object }|null} - The scope, path and props of the template, or null if the message has none.
+ */
+function getMessageTemplate(message) {
+	for (const scope of VueChatMessageScopes.keys()) {
+		const { path, props = {} } = message.getFlag?.(scope, 'vue') ?? {};
+		if (path) return { scope, path, props };
+	}
+	return null;
+}
+
+/**
+ * Unmount the Vue application hydrated into a message element.
+ * @param {string} messageId - The id of the chat message.
+ * @param {HTMLElement} element - The message element.
+ */
+function unmountMessageElement(messageId, element) {
+	const apps = VueChatMessageApps.get(messageId);
+	const entry = apps?.get(element);
+	if (!entry) return;
+
+	entry.app.unmount();
+	releaseStyles(document, entry.component);
+	apps.delete(element);
+	if (!apps.size) VueChatMessageApps.delete(messageId);
+}
+
+/**
+ * Unmount the Vue applications of a chat message, or only those whose element was removed from the document.
+ * @param {string} messageId - The id of the chat message.
+ * @param {Object} [options] - The unmount options.
+ * @param {boolean} [options.removedOnly=false] - Only unmount the applications whose element was removed.
+ */
+function unmountMessage(messageId, { removedOnly = false } = {}) {
+	for (const [element, entry] of [...(VueChatMessageApps.get(messageId) ?? [])]) {
+		// Elements are rendered before they are inserted, so only elements which were connected before count as removed
+		if (removedOnly) {
+			if (element.isConnected) entry.connected = true;
+			if (element.isConnected || !entry.connected) continue;
+		}
+		unmountMessageElement(messageId, element);
+	}
+}
+
+/**
+ * Unmount the Vue applications of every message whose element was removed from the document.
+ */
+function unmountRemovedMessages() {
+	for (const messageId of [...VueChatMessageApps.keys()]) unmountMessage(messageId, { removedOnly: true });
+}
+
+/**
+ * Unmount the Vue applications of the messages shown in an element, like a chat popout which is closed.
+ * @param {HTMLElement} element - The element containing the messages.
+ */
+function unmountMessagesIn(element) {
+	for (const [messageId, apps] of [...VueChatMessageApps]) {
+		for (const messageElement of [...apps.keys()]) {
+			if (element?.contains(messageElement)) unmountMessageElement(messageId, messageElement);
+		}
+	}
+}
+
+/**
+ * Hydrate the static HTML of a rendered chat message into a live Vue application.
+ * @param {ChatMessage} message - The rendered chat message.
+ * @param {HTMLElement|jQuery} html - The rendered message element.
+ */
+async function onRenderChatMessage(message, html) {
+	const template = getMessageTemplate(message);
+	if (!template) return;
+
+	const element = html?.[0] ?? html;
+	const content = element?.querySelector('.message-content');
+	if (!content) return;
+
+	// A message is rendered again when it is updated, the previous element is replaced
+	unmountMessage(message.id, { removedOnly: true });
+
+	try {
+		const component = await vueGetTemplate(template.path);
+		const props = reactive(foundry.utils.deepClone(template.props));
+
+		// Hydrate the stored HTML, the flags are passed as props
+		const app = createSSRApp({
+			render: () => h(component, { ...props })
+		});
+		app.provide('chatMessage', message);
+		for (const plugin of Object.values(VueChatMessageScopes.get(template.scope)?.use ?? {})) app.use(plugin.plugin, plugin?.options ?? {});
+
+		acquireStyles(document, component);
+		app.mount(content);
+
+		if (!VueChatMessageApps.has(message.id)) VueChatMessageApps.set(message.id, new Map());
+		VueChatMessageApps.get(message.id).set(element, { app, component, connected: element.isConnected });
+	}
+	catch (error) {
+		console.error(`VueChatMessage | Failed to hydrate chat message ${message.id}`, error);
+	}
+}
+
+/**
+ * Hydrate the chat messages created with `createVueChatMessage` for a flag scope whenever they are rendered.
+ * The Vue applications are unmounted when the message is deleted, rendered again or pruned from the chat log.
+ *
+ * @param {string} scope - The flag scope of the messages, usually the id of the module.
+ * @param {Object} [options] - The hydration options.
+ * @param {Object<string, { plugin: Object, options?: Object }>} [options.use] - Plugins the Vue applications use, like the `use` map of a part.
+ * @returns {Function} - A function which stops hydrating the messages of the scope.
+ */
+export function registerVueChatMessages(scope, { use = {} } = {}) {
+	VueChatMessageScopes.set(scope, { use });
+
+	if (!VueChatMessageListeners) {
+		// Check the hydrated messages whenever messages are inserted into or removed from a chat log, which covers re-rendered and pruned messages
+		// -- Only the chat log and the chat popouts are observed, not the rest of the UI
+		const observer = new MutationObserver(unmountRemovedMessages);
+		const observeChatLog = (app, html) => {
+			const element = html?.[0] ?? html;
+			if (element instanceof Node) observer.observe(element, { childList: true, subtree: true });
+			// -- A chat log which is rendered again replaces its element, and the messages inside it
+			unmountRemovedMessages();
+		};
+		if (ui.chat?.element) observeChatLog(ui.chat, ui.chat.element);
+
+		VueChatMessageListeners = {
+			hooks: {
+				renderChatMessage: Hooks.on('renderChatMessage', onRenderChatMessage),
+				deleteChatMessage: Hooks.on('deleteChatMessage', (message) => unmountMessage(message.id)),
+				renderChatLog: Hooks.on('renderChatLog', observeChatLog),
+				renderChatPopout: Hooks.on('renderChatPopout', observeChatLog),
+				// -- A closed popout is removed as a whole, its messages are unmounted with it
+				closeChatPopout: Hooks.on('closeChatPopout', (app, html) => unmountMessagesIn(html?.[0] ?? html))
+			},
+			observer
+		};
+	}
+
+	return () => {
+		VueChatMessageScopes.delete(scope);
+		if (VueChatMessageScopes.size || !VueChatMessageListeners) return;
+
+		for (const [hook, id] of Object.entries(VueChatMessageListeners.hooks)) Hooks.off(hook, id);
+		VueChatMessageListeners.observer.disconnect();
+		VueChatMessageListeners = null;
+	};
+}
+
+/**
+ * Create a chat message rendered from a Vue template.
+ * The template is rendered to static HTML for the message content, its path and props are stored in the message flags.
+ * The message is hydrated into a live Vue application when it is rendered, see `registerVueChatMessages`.
+ *
+ * @param {string} scope - The flag scope of the message, usually the id of the module.
+ * @param {string} path - The path to the Vue template.
+ * @param {Object} [props={}] - The props passed to the Vue template, they must be serializable.
+ * @param {Object} [data={}] - Additional data of the chat message, like `speaker` or `whisper`.
+ * @param {Object} [options={}] - The options passed to `ChatMessage.create`.
+ * @returns {Promise<ChatMessage>} - A promise that resolves to the created chat message.
+ */
+export async function createVueChatMessage(scope, path, props = {}, data = {}, options = {}) {
+	const content = await vueRenderTemplate(path, props, { use: VueChatMessageScopes.get(scope)?.use });
+	const messageData = foundry.utils.mergeObject(data, { content, flags: { [scope]: { vue: { path, props } } } }, { inplace: false });
+	return await ChatMessage.implementation.create(messageData, options);
+}
+
+/**
+ * Get the chat message a component is hydrated into.
+ * Must be called inside the `setup` function of a component.
+ * @returns {ChatMessage|null} - The chat message.
+ */
+export function useChatMessage() {
+	return inject('chatMessage', null);
+}
@@ -0,0 +1,610 @@
+import { computed, defineComponent, h, inject, nextTick, onBeforeUnmount, onMounted, ref, watch } from 'vue';
+import { localize } from './VueLocalization.mjs';
+
+/**
+ * Bind the value of a component to `v-model`, or to the part's form data when only a `name` is given.
+ * @param {Object} props - The props of the component, including `modelValue` and `name`.
+ * @param {Function} emit - The emit function of the component.
+ * @returns {import('vue').WritableComputedRef} - The value of the component.
+ */
+function useModelValue(props, emit) {
+	// Components rendered without v-model inside a VueApplication read and write the part's form data
+	const useField = (props.modelValue === undefined && props.name) ? inject('useField', null) : null;
+	const field = useField?.(props.name);
+
+	return computed({
+		get: () => field ? field.value.value : props.modelValue,
+		set: (value) => {
+			if (field) field.value.value = value;
+			emit('update:modelValue', value);
+		}
+	});
+}
+
+/**
+ * Localize a label if localization is enabled.
+ * @param {string} label - The label to localize.
+ * @param {boolean} shouldLocalize - Whether the label should be localized.
+ * @returns {string} - The label.
+ */
+function localizeLabel(label, shouldLocalize) {
+	return shouldLocalize ? localize(label) : label;
+}
+
+/**
+ * Normalize the choices of a select or radio input into an array of options.
+ * Choices can be a mapping of values to labels, a mapping of values to option objects, or an array of option objects.
+ * @param {Object|Array<Object>|Function} choices - The choices to normalize.
+ * @param {Object} options - Options which configure how the choices are read.
+ * @param {string} [options.valueAttr="value"] - The property of an option object which holds its value.
+ * @param {string} [options.labelAttr="label"] - The property of an option object which holds its label.
+ * @param {boolean} [options.localize=false] - Pass each label through string localization?
+ * @param {boolean} [options.sort=false] - Sort the options by their label?
+ * @returns {Array<{ value: string, label: string, group?: string, disabled?: boolean }>} - The normalized options.
+ */
+function normalizeChoices(choices, { valueAttr = 'value', labelAttr = 'label', localize = false, sort = false } = {}) {
+	if (choices instanceof Function) choices = choices();
+
+	const options = Array.isArray(choices)
+		? choices.map(choice => (typeof choice === 'object')
+			? { ...choice, value: choice[valueAttr], label: choice[labelAttr] }
+			: { value: choice, label: choice })
+		: Object.entries(choices ?? {}).map(([value, choice]) => (typeof choice === 'object')
+			? { ...choice, value, label: choice[labelAttr] }
+			: { value, label: choice });
+
+	for (const option of options) option.label = localizeLabel(String(option.label ?? option.value), localize);
+	if (sort) options.sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang));
+	return options;
+}
+
+/**
+ * Round a number to the precision of a step size.
+ * @param {number} value - The value to round.
+ * @param {number|string} [step] - The step size.
+ * @returns {number} - The rounded value.
+ */
+function roundToStep(value, step) {
+	if (!Number.isFinite(value) || !step || step === 'any') return value;
+	const decimals = String(step).split('.')[1]?.length ?? 0;
+	return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+/**
+ * The props shared by every input component.
+ * @type {Object}
+ */
+const inputProps = {
+	modelValue: { default: undefined },
+	name: { type: String, default: undefined },
+	disabled: { type: Boolean, default: false }
+};
+
+/**
+ * A `<select>` element with options built from a mapping or an array of choices.
+ * Supports single and multiple selections with `v-model`.
+ */
+export const SelectOptions = defineComponent({
+	name: 'SelectOptions',
+	props: {
+		...inputProps,
+		choices: { type: [Object, Array, Function], default: () => ({}) },
+		multiple: { type: Boolean, default: false },
+		blank: { type: String, default: undefined },
+		valueAttr: { type: String, default: 'value' },
+		labelAttr: { type: String, default: 'label' },
+		localize: { type: Boolean, default: false },
+		sort: { type: Boolean, default: false }
+	},
+	emits: ['update:modelValue', 'change'],
+	setup(props, { emit }) {
+		const value = useModelValue(props, emit);
+		const options = computed(() => normalizeChoices(props.choices, props));
+
+		// Check if an option value is selected, comparing as strings like the DOM does
+		const isSelected = (optionValue) => props.multiple
+			? [].concat(value.value ?? []).map(String).includes(String(optionValue))
+			: String(value.value ?? '') === String(optionValue);
+
+		// Render an option element
+		const renderOption = (option) => h('option', { value: option.value, selected: isSelected(option.value), disabled: option.disabled }, option.label);
+
+		// Group the options by their group, keeping ungrouped options first
+		const renderOptions = () => {
+			const groups = new Map();
+			for (const option of options.value) {
+				if (!groups.has(option.group)) groups.set(option.group, []);
+				groups.get(option.group).push(option);
+			}
+			return [...groups.entries()].flatMap(([group, groupOptions]) => group
+				? [h('optgroup', { label: localizeLabel(group, props.localize) }, groupOptions.map(renderOption))]
+				: groupOptions.map(renderOption));
+		};
+
+		const onChange = (event) => {
+			value.value = props.multiple ? [...event.target.selectedOptions].map(option => option.value) : event.target.value;
+			emit('change', event);
+		};
+
+		return () => h('select', { name: props.name, multiple: props.multiple, disabled: props.disabled, onChange }, [
+			(props.blank !== undefined && !props.multiple) ? h('option', { value: '', selected: isSelected('') }, props.blank) : null,
+			...renderOptions()
+		]);
+	}
+});
+
+/**
+ * A set of radio inputs in a named set, the keys of the choices are the values and the values are the labels.
+ */
+export const RadioBoxes = defineComponent({
+	name: 'RadioBoxes',
+	props: {
+		...inputProps,
+		choices: { type: [Object, Array, Function], default: () => ({}) },
+		localize: { type: Boolean, default: false }
+	},
+	emits: ['update:modelValue', 'change'],
+	setup(props, { emit }) {
+		const value = useModelValue(props, emit);
+		const options = computed(() => normalizeChoices(props.choices, props));
+
+		const onChange = (event) => {
+			value.value = event.target.value;
+			emit('change', event);
+		};
+
+		return () => options.value.map(option => h('label', { class: 'checkbox', key: option.value }, [
+			h('input', { type: 'radio', name: props.name, value: option.value, checked: String(value.value) === String(option.value), disabled: props.disabled, onChange }),
+			` ${option.label}`
+		]));
+	}
+});
+
+/**
+ * A pair of inputs for selecting a value in a range.
+ */
+export const RangePicker = defineComponent({
+	name: 'RangePicker',
+	props: {
+		...inputProps,
+		min: { type: Number, default: 0 },
+		max: { type: Number, default: 100 },
+		step: { type: [Number, String], default: 1 }
+	},
+	emits: ['update:modelValue', 'change'],
+	setup(props, { emit }) {
+		const value = useModelValue(props, emit);
+
+		const onInput = (event) => value.value = roundToStep(event.target.valueAsNumber, props.step);
+		const onChange = (event) => {
+			onInput(event);
+			emit('change', event);
+		};
+
+		return () => [
+			h('input', { type: 'range', name: props.name, min: props.min, max: props.max, step: props.step, value: value.value ?? props.min, disabled: props.disabled, onInput, onChange }),
+			h('input', { type: 'number', class: 'range-value', min: props.min, max: props.max, step: props.step, value: value.value ?? props.min, disabled: props.disabled, onChange })
+		];
+	}
+});
+
+/**
+ * An input of type number whose value is rounded to the step size.
+ */
+export const NumberInput = defineComponent({
+	name: 'NumberInput',
+	props: {
+		...inputProps,
+		min: { type: Number, default: undefined },
+		max: { type: Number, default: undefined },
+		step: { type: [Number, String], default: 'any' },
+		placeholder: { type: String, default: undefined }
+	},
+	emits: ['update:modelValue', 'change'],
+	setup(props, { emit }) {
+		const value = useModelValue(props, emit);
+
+		// Empty inputs are emitted as null, so they can be told apart from zero
+		const onChange = (event) => {
+			value.value = (event.target.value === '') ? null : roundToStep(event.target.valueAsNumber, props.step);
+			emit('change', event);
+		};
+
+		return () => h('input', {
+			type: 'number',
+			name: props.name,
+			value: roundToStep(value.value, props.step) ?? '',
+			min: props.min,
+			max: props.max,
+			step: props.step,
+			placeholder: props.placeholder,
+			disabled: props.disabled,
+			onChange
+		});
+	}
+});
+
+/**
+ * An input for a DataField instance, the type of input is chosen from the type of the field.
+ */
+export const FormField = defineComponent({
+	name: 'FormField',
+	props: {
+		...inputProps,
+		field: { type: Object, required: true },
+		localize: { type: Boolean, default: true },
+		placeholder: { type: String, default: undefined }
+	},
+	emits: ['update:modelValue', 'change'],
+	setup(props, { emit }) {
+		const { fields } = foundry.data;
+		const name = computed(() => props.name ?? props.field.fieldPath);
+		const value = useModelValue({ get modelValue() { return props.modelValue; }, get name() { return name.value; } }, emit);
+
+		// Forward the value and events of the child inputs
+		const onUpdate = (newValue) => value.value = newValue;
+		const onChange = (event) => emit('change', event);
+
+		return () => {
+			const { field } = props;
+			const disabled = props.disabled || field.readonly;
+			const shared = { name: name.value, modelValue: value.value ?? null, disabled, 'onUpdate:modelValue': onUpdate, onChange };
+
+			// Fields with choices are rendered as a select
+			if (field.choices) {
+				return h(SelectOptions, { ...shared, choices: field.choices, localize: props.localize, blank: field.blank ? '' : undefined });
+			}
+
+			if (field instanceof fields.BooleanField) {
+				return h('input', { type: 'checkbox', name: name.value, checked: !!value.value, disabled, onChange: (event) => { onUpdate(event.target.checked); onChange(event); } });
+			}
+
+			if (field instanceof fields.NumberField) {
+				return h(NumberInput, { ...shared, min: field.min, max: field.max, step: field.step ?? (field.integer ? 1 : 'any'), placeholder: props.placeholder });
+			}
+
+			return h('input', { type: 'text', name: name.value, value: value.value ?? '', placeholder: props.placeholder, disabled, onInput: (event) => onUpdate(event.target.value), onChange });
+		};
+	}
+});
+
+/**
+ * A form group for a DataField instance with its label, input and hint.
+ * The default slot replaces the input.
+ */
+export const FormGroup = defineComponent({
+	name: 'FormGroup',
+	props: {
+		...inputProps,
+		field: { type: Object, required: true },
+		label: { type: String, default: undefined },
+		hint: { type: String, default: undefined },
+		units: { type: String, default: undefined },
+		localize: { type: Boolean, default: true },
+		stacked: { type: Boolean, default: false }
+	},
+	emits: ['update:modelValue', 'change'],
+	setup(props, { emit, slots }) {
+		const onUpdate = (value) => emit('update:modelValue', value);
+		const onChange = (event) => emit('change', event);
+
+		return () => {
+			const { field } = props;
+			const label = props.label ?? field.label ?? field.name;
+			const hint = props.hint ?? field.hint;
+			const input = slots.default?.() ?? h(FormField, { field, name: props.name, modelValue: props.modelValue, disabled: props.disabled, localize: props.localize, 'onUpdate:modelValue': onUpdate, onChange });
+
+			return h('div', { class: ['form-group', { stacked: props.stacked }] }, [
+				h('label', localizeLabel(label, props.localize)),
+				h('div', { class: 'form-fields' }, [input, props.units ? h('span', { class: 'units' }, localizeLabel(props.units, props.localize)) : null]),
+				hint ? h('p', { class: 'hint' }, localizeLabel(hint, props.localize)) : null
+			]);
+		};
+	}
+});
+
+/**
+ * A ProseMirror rich text editor bound to a field of a document.
+ * The content is saved when the editor loses focus, when its form is submitted, and before the component is unmounted.
+ */
+export const ProseMirrorEditor = defineComponent({
+	name: 'ProseMirrorEditor',
+	props: {
+		modelValue: { type: String, default: undefined },
+		target: { type: String, required: true },
+		document: { type: Object, default: undefined },
+		button: { type: Boolean, default: false },
+		editable: { type: Boolean, default: true },
+		collaborate: { type: Boolean, default: false }
+	},
+	emits: ['update:modelValue', 'save'],
+	setup(props, { emit }) {
+		const application = inject('application', null);
+		const document = computed(() => props.document ?? application?.document);
+
+		// Bind the content to v-model, or to the part's form data, or read it from the document
+		const useField = (props.modelValue === undefined) ? inject('useField', null) : null;
+		const field = useField?.(props.target);
+		const content = computed(() => (props.modelValue ?? field?.value.value ?? foundry.utils.getProperty(document.value ?? {}, props.target)) ?? '');
+
+		const container = ref(null);
+		const editorContent = ref(null);
+		const enriched = ref('');
+		const active = ref(false);
+		let editor = null;
+		let unmounted = false;
+
+		// Enrich the content which is displayed while the editor is not active
+		// -- The content is displayed as it is when it can't be enriched
+		watch([content, document], async ([html, doc]) => {
+			try {
+				enriched.value = await TextEditor.enrichHTML(html, { secrets: doc?.isOwner ?? false, relativeTo: doc, async: true });
+			}
+			catch (error) {
+				console.error(`ProseMirrorEditor | Failed to enrich ${props.target}`, error);
+				enriched.value = html;
+			}
+		}, { immediate: true });
+
+		/**
+		 * Save the content of the editor to the field it is bound to.
+		 * -- A failed document update is reported as a notification, save is called without awaiting it when the editor loses focus or is unmounted
+		 * @param {Object} [options] - The save options.
+		 * @param {boolean} [options.remove=false] - Destroy the editor after saving.
+		 * @returns {Promise<void>}
+		 */
+		const save = async ({ remove = false } = {}) => {
+			if (!editor) return;
+			const html = ProseMirror.dom.serializeString(editor.view.state.doc.content);
+			if (remove) destroy();
+
+			// Skip if the content didn't change
+			if (html === content.value) return;
+			emit('update:modelValue', html);
+			emit('save', html);
+
+			// Write the content to the form data, or update the document if the editor isn't bound
+			if (field) field.value.value = html;
+			else if (props.modelValue === undefined && document.value) {
+				try {
+					await document.value.update({ [props.target]: html });
+				}
+				catch (error) {
+					console.error(`ProseMirrorEditor | Failed to save ${props.target}`, error);
+					ui.notifications.error(error.message);
+				}
+			}
+		};
+
+		/**
+		 * Destroy the editor without saving it.
+		 */
+		const destroy = () => {
+			editor?.destroy();
+			editor = null;
+			active.value = false;
+		};
+
+		/**
+		 * Activate the editor.
+		 * @returns {Promise<void>}
+		 */
+		const activate = async () => {
+			if (editor || active.value || !props.editable) return;
+
+			// Wait for the editor element to be rendered in place of the enriched content
+			active.value = true;
+			await nextTick();
+			if (unmounted) return;
+			const created = await TextEditor.create({
+				engine: 'prosemirror',
+				target: editorContent.value,
+				document: document.value,
+				fieldName: props.target,
+				collaborate: props.collaborate,
+				plugins: {
+					menu: ProseMirror.ProseMirrorMenu.build(ProseMirror.defaultSchema, { destroyOnSave: props.button, onSave: () => save({ remove: props.button }) }),
+					keyMaps: ProseMirror.ProseMirrorKeyMaps.build(ProseMirror.defaultSchema, { onSave: () => save({ remove: props.button }) })
+				}
+			}, content.value);
+
+			// Destroy an editor which was created after the component was unmounted or the editor was closed
+			if (unmounted || !active.value) return created?.destroy();
+			editor = created;
+		};
+
+		// Save when the focus leaves the editor, including its menu
+		const onFocusOut = (event) => {
+			if (!container.value?.contains(event.relatedTarget)) save();
+		};
+
+		// Save before the form the editor is rendered in is submitted
+		let form = null;
+		const onSubmit = () => save();
+
+		onMounted(() => {
+			form = container.value.closest('form');
+			form?.addEventListener('submit', onSubmit, { capture: true });
+			if (!props.button) activate();
+		});
+
+		onBeforeUnmount(() => {
+			unmounted = true;
+			form?.removeEventListener('submit', onSubmit, { capture: true });
+			save({ remove: true });
+		});
+
+		watch(() => props.editable, (editable) => editable ? (!props.button && activate()) : save({ remove: true }));
+
+		return () => h('div', { ref: container, class: ['editor', 'prosemirror', { active: active.value }], onFocusout: onFocusOut }, [
+			// -- The editor element has no children, so Vue never patches the content ProseMirror renders into it
+			active.value
+				? h('div', { ref: editorContent, class: 'editor-content', key: 'editor' })
+				: h('div', { class: 'editor-content', key: 'enriched', innerHTML: enriched.value }),
+			(props.button && props.editable && !active.value) ? h('a', { class: 'editor-edit', onClick: activate }, [h('i', { class: 'fa-solid fa-edit' })]) : null
+		]);
+	}
+});
+
+/**
+ * Get the element id of a tab or a tab panel, so the tab and its panel can reference each other.
+ * @param {Object|null} application - The application the tab is rendered in.
+ * @param {string} group - The tab group.
+ * @param {string} tab - The tab.
+ * @param {'tab'|'panel'} type - Whether the id is for the tab or its panel.
+ * @returns {string} - The element id.
+ */
+function getTabElementId(application, group, tab, type) {
+	return `${application?.id ?? 'vue'}-${group}-${tab}-${type}`;
+}
+
+/**
+ * Get a tab group of the VueApplication a tab component is rendered in.
+ * @param {string} name - The name of the component, for the error when it isn't rendered in a VueApplication.
+ * @param {string} group - The tab group.
+ * @param {string} [initial] - The tab which is active when the group has no active tab yet.
+ * @returns {Object} - The tab group, see `useTabs`.
+ */
+function injectTabGroup(name, group, initial) {
+	const useTabs = inject('useTabs', null);
+	if (!useTabs) throw new Error(`${name} | No "useTabs" provider found, the component must be rendered in a VueApplication`);
+	return useTabs(group, initial);
+}
+
+/**
+ * The navigation of a tab group, kept in sync with the application's `tabGroups` and `changeTab`.
+ * The tabs are a mapping of tab ids to labels, a mapping of tab ids to `{ label, icon, disabled }`, or an array of `{ id, label, icon, disabled }`.
+ * -- The arrow keys, Home and End move between the tabs, the focused tab is activated
+ */
+export const TabNav = defineComponent({
+	name: 'TabNav',
+	props: {
+		group: { type: String, default: 'primary' },
+		tabs: { type: [Object, Array], default: () => ({}) },
+		initial: { type: String, default: undefined },
+		vertical: { type: Boolean, default: false },
+		localize: { type: Boolean, default: true }
+	},
+	emits: ['change'],
+	setup(props, { emit, slots }) {
+		const application = inject('application', null);
+		const tabs = computed(() => normalizeChoices(props.tabs, { valueAttr: 'id', localize: props.localize }));
+		const tabGroup = injectTabGroup('TabNav', props.group, props.initial ?? tabs.value[0]?.value);
+		const nav = ref(null);
+
+		const activate = (tab, event) => {
+			if (tab.disabled) return;
+			tabGroup.activate(tab.value, event);
+			emit('change', tab.value);
+		};
+
+		const onKeydown = (event) => {
+			const enabled = tabs.value.filter(tab => !tab.disabled);
+			const current = event.target?.closest?.('[role="tab"]')?.dataset.tab;
+			const index = enabled.findIndex(tab => tab.value === current);
+			if (index < 0) return;
+
+			let next;
+			switch (event.key) {
+				case (props.vertical ? 'ArrowUp' : 'ArrowLeft'): next = enabled[(index - 1 + enabled.length) % enabled.length]; break;
+				case (props.vertical ? 'ArrowDown' : 'ArrowRight'): next = enabled[(index + 1) % enabled.length]; break;
+				case 'Home': next = enabled[0]; break;
+				case 'End': next = enabled[enabled.length - 1]; break;
+				case 'Enter':
+				case ' ': next = enabled[index]; break;
+				default: return;
+			}
+
+			event.preventDefault();
+			activate(next, event);
+			nextTick(() => nav.value?.querySelector(`[data-tab="${CSS.escape(next.value)}"]`)?.focus());
+		};
+
+		return () => {
+			// Only one tab can be reached with Tab, the active one or the first one when none is active
+			const focusable = tabs.value.find(tab => tabGroup.isActive(tab.value))?.value ?? tabs.value.find(tab => !tab.disabled)?.value;
+
+			return h('nav', {
+				ref: nav,
+				class: ['tabs', { vertical: props.vertical }],
+				role: 'tablist',
+				'aria-orientation': props.vertical ? 'vertical' : 'horizontal',
+				'data-group': props.group,
+				onKeydown
+			}, tabs.value.map(tab => {
+				const active = tabGroup.isActive(tab.value);
+				return h('a', {
+					key: tab.value,
+					id: getTabElementId(application, props.group, tab.value, 'tab'),
+					class: ['item', { active, disabled: !!tab.disabled }],
+					role: 'tab',
+					tabindex: (tab.value === focusable) ? 0 : -1,
+					'aria-selected': String(active),
+					'aria-controls': getTabElementId(application, props.group, tab.value, 'panel'),
+					'aria-disabled': tab.disabled ? 'true' : undefined,
+					'data-tab': tab.value,
+					'data-group': props.group,
+					onClick: (event) => {
+						event.preventDefault();
+						activate(tab, event);
+					}
+				}, slots.default?.({ tab, active }) ?? [
+					tab.icon ? h('i', { class: tab.icon }) : null,
+					tab.icon ? ' ' : null,
+					h('span', tab.label)
+				]);
+			}));
+		};
+	}
+});
+
+/**
+ * The content of a tab, shown while the tab is active in its group.
+ * -- Hidden panels stay mounted like `v-show`, with `lazy` the content is only rendered once the tab was activated
+ */
+export const TabPanel = defineComponent({
+	name: 'TabPanel',
+	props: {
+		tab: { type: String, required: true },
+		group: { type: String, default: 'primary' },
+		lazy: { type: Boolean, default: false }
+	},
+	setup(props, { slots }) {
+		const application = inject('application', null);
+		const tabGroup = injectTabGroup('TabPanel', props.group);
+		const active = computed(() => tabGroup.isActive(props.tab));
+
+		// Remember that the tab was activated, so lazy content stays rendered when the tab is hidden again
+		const activated = ref(active.value);
+		watch(active, (value) => activated.value ||= value);
+
+		return () => h('section', {
+			id: getTabElementId(application, props.group, props.tab, 'panel'),
+			class: ['tab', { active: active.value }],
+			style: active.value ? undefined : { display: 'none' },
+			role: 'tabpanel',
+			'aria-labelledby': getTabElementId(application, props.group, props.tab, 'tab'),
+			'data-tab': props.tab,
+			'data-group': props.group
+		}, (!props.lazy || activated.value) ? slots.default?.({ active: active.value }) : null);
+	}
+});
+
+/**
+ * A Vue plugin which registers the components globally.
+ * Register it through a part's `use` map: `use: { components: { plugin: VueComponentsPlugin } }`.
+ * @type {{ install: Function }}
+ */
+export const VueComponentsPlugin = {
+	/**
+	 * Register the components on a Vue application.
+	 * @param {import('vue').App} app - The Vue application.
+	 * @param {Object} [options] - The plugin options.
+	 * @param {string} [options.prefix=""] - A prefix added to the name of every component.
+	 */
+	install(app, { prefix = '' } = {}) {
+		for (const component of [FormGroup, FormField, SelectOptions, RadioBoxes, RangePicker, NumberInput, ProseMirrorEditor, TabNav, TabPanel]) {
+			app.component(`${prefix}${component.name}`, component);
+		}
+	}
+};
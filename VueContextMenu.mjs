@@ -0,0 +1,67 @@
+/**
+ * The number of context menus created, used to give each element its own selector.
+ * @type {number}
+ */
+let VueContextMenuCount = 0;
+
+/**
+ * Get the entries of a context menu from the value of its directive.
+ * -- Icons can be given as a class name instead of HTML, like `fa-solid fa-trash`
+ * @param {Array<Object>|Function} value - The entries, or a function returning them.
+ * @returns {Array<Object>} - The entries in the format of Foundry's ContextMenu.
+ */
+function getMenuItems(value) {
+	const entries = (value instanceof Function) ? value() : value;
+	return (entries ?? []).map(entry => ({
+		...entry,
+		icon: (!entry.icon || entry.icon.startsWith('<')) ? (entry.icon ?? '') : `<i class="${entry.icon}"></i>`
+	}));
+}
+
+/**
+ * Open Foundry's ContextMenu on an element, with entries like `{ name, icon, group, condition, callback }`.
+ * The entries are read when the menu opens, so `condition` and `callback` see the current state of the component.
+ * -- `condition` and `callback` are called with the element
+ * -- The `click` modifier opens the menu with a left click instead of a right click
+ *
+ * @example
+ * <li v-context-menu="[{ name: 'Delete', icon: 'fa-solid fa-trash', condition: () => item.isOwner, callback: () => item.delete() }]"></li>
+ */
+export const vContextMenu = {
+	mounted(el, binding) {
+		const id = `vue-context-menu-${++VueContextMenuCount}`;
+		el.dataset.vueContextMenu = id;
+
+		const menu = new ContextMenu(el, `[data-vue-context-menu="${id}"]`, [], {
+			eventName: binding.modifiers.click ? 'click' : 'contextmenu',
+			jQuery: false
+		});
+
+		// Read the entries from the latest binding whenever the menu renders
+		Object.defineProperty(menu, 'menuItems', { get: () => getMenuItems(el._vueContextMenu.value), set: () => {}, configurable: true });
+		el._vueContextMenu = { menu, value: binding.value };
+	},
+	updated(el, binding) {
+		el._vueContextMenu.value = binding.value;
+	},
+	unmounted(el) {
+		const menu = el._vueContextMenu?.menu;
+		if (menu && ui.context === menu) menu.close();
+		delete el._vueContextMenu;
+	}
+};
+
+/**
+ * A Vue plugin which provides the `v-context-menu` directive, every VueApplication already registers it.
+ * Register it through the `use` map of a chat message or other Vue application: `use: { contextMenu: { plugin: VueContextMenuPlugin } }`.
+ * @type {{ install: Function }}
+ */
+export const VueContextMenuPlugin = {
+	/**
+	 * Add the context menu directive to a Vue application.
+	 * @param {import('vue').App} app - The Vue application.
+	 */
+	install(app) {
+		app.directive('context-menu', vContextMenu);
+	}
+};
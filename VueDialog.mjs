@@ -0,0 +1,264 @@
+import { h, inject, markRaw, nextTick, onMounted, provide, reactive, ref, shallowReactive } from 'vue';
+import { VueApplicationMixin } from './VueApplicationMixin.mjs';
+import { localize } from './VueLocalization.mjs';
+
+/**
+ * A button of a VueDialog, declared like `DEFAULT_OPTIONS.actions`: a callback, or an object with a callback.
+ * The callback is called with `(event, value, dialog)` and the dialog resolves with what it returns.
+ * Without a callback, the dialog resolves with the value of the component, or the key of the button when the component has no value.
+ *
+ * @typedef {Function|{ label?: string, icon?: string, default?: boolean, disabled?: boolean, callback?: Function }} VueDialogButton
+ */
+
+/**
+ * Get the dialog a component is rendered in.
+ * Must be called inside the `setup` function of a component.
+ * @returns {{ resolve: Function, buttons: Object<string, Function>, close: Function }} - `resolve(value)` resolves the dialog with a value, `buttons` calls the dialog buttons by key.
+ */
+export function useDialog() {
+	return inject('dialog');
+}
+
+/**
+ * Renders the component of a VueDialog together with its buttons.
+ * -- The component resolves the dialog by emitting `resolve`, or by calling the injected `resolve`
+ * -- The component's `v-model` value is passed to the button callbacks
+ * -- Enter clicks the default button and Escape closes the dialog
+ * @type {Object}
+ */
+const VueDialogShell = {
+	name: 'VueDialogShell',
+	props: {
+		component: { type: Object, required: true },
+		props: { type: Object, default: () => ({}) },
+		buttons: { type: Object, default: () => ({}) }
+	},
+	setup(props) {
+		const dialog = inject('application');
+		const root = ref(null);
+		const value = ref(undefined);
+
+		// Provide the dialog to the component, the buttons are bound like actions
+		const resolve = (result) => dialog.resolve(result);
+		const buttons = Object.fromEntries(Object.keys(props.buttons).map(key => [key, (event) => dialog._onClickButton(key, event, value.value)]));
+		provide('resolve', resolve);
+		provide('dialog', { resolve, buttons, close: () => dialog.close() });
+
+		// The button which Enter clicks, the first one when no button is the default
+		const defaultButton = () => Object.entries(props.buttons).find(([key, button]) => button?.default)?.[0] ?? Object.keys(props.buttons)[0];
+
+		const onKeydown = (event) => {
+			if (event.isComposing) return;
+			if (event.key === 'Escape') {
+				event.preventDefault();
+				event.stopPropagation();
+				dialog.close();
+			}
+			// Enter inserts a line in text areas, and buttons handle Enter themselves
+			else if (event.key === 'Enter' && !['TEXTAREA', 'BUTTON'].includes(event.target?.tagName)) {
+				const key = defaultButton();
+				if (!key) return;
+				event.preventDefault();
+				event.stopPropagation();
+				buttons[key](event);
+			}
+		};
+
+		// Focus the first input of the component, or the default button, so the keyboard works right away
+		onMounted(() => nextTick(() => {
+			const focusable = root.value?.querySelector('.dialog-content :is(input, select, textarea, [contenteditable])') ?? root.value?.querySelector(`[data-button="${defaultButton()}"]`);
+			focusable?.focus();
+		}));
+
+		return () => h('div', { ref: root, class: 'vue-dialog', onKeydown }, [
+			h('div', { class: 'dialog-content standard-form' }, [
+				h(props.component, {
+					...props.props,
+					modelValue: value.value,
+					'onUpdate:modelValue': (newValue) => value.value = newValue,
+					onResolve: resolve
+				})
+			]),
+			Object.keys(props.buttons).length ? h('footer', { class: 'form-footer' }, Object.entries(props.buttons).map(([key, button]) =>
+				h('button', {
+					type: 'button',
+					'data-button': key,
+					class: { default: !!button?.default },
+					disabled: !!button?.disabled,
+					onClick: (event) => buttons[key](event)
+				}, [
+					button?.icon ? h('i', { class: button.icon }) : null,
+					h('span', localize(button?.label ?? key))
+				])
+			)) : null
+		]);
+	}
+};
+
+/**
+ * A promise-based dialog rendering a Vue component, built on `VueApplicationMixin`.
+ * Use the static `prompt`, `confirm` and `wait` functions, they resolve with the result of the dialog or `null` when it is closed.
+ */
+export class VueDialog extends VueApplicationMixin(foundry.applications.api.ApplicationV2) {
+	/** @inheritDoc */
+	static DEFAULT_OPTIONS = {
+		classes: ['vue-dialog'],
+		window: {
+			minimizable: false
+		},
+		position: {
+			width: 400,
+			height: 'auto'
+		}
+	};
+
+	/**
+	 * The parts of the dialog, the shell renders the component and the buttons.
+	 * @type {Object<string, *>}
+	 */
+	static PARTS = {
+		dialog: { component: VueDialogShell }
+	};
+
+	/**
+	 * The private component rendered by the dialog.
+	 * @type {Object}
+	 */
+	#component;
+
+	/**
+	 * The private props passed to the component.
+	 * @type {Object}
+	 */
+	#props;
+
+	/**
+	 * The private buttons of the dialog.
+	 * @type {Object<string, VueDialogButton>}
+	 */
+	#buttons;
+
+	/**
+	 * The private functions settling the promise of the dialog, cleared once it is settled.
+	 * @type {{ resolve: Function, reject: Function, rejectClose: boolean }|null}
+	 */
+	#settle = null;
+
+	/**
+	 * @param {Object} [options] - The options of the dialog.
+	 * @param {Object} options.component - The component rendered by the dialog.
+	 * @param {Object} [options.props] - The props passed to the component.
+	 * @param {Object<string, VueDialogButton>} [options.buttons] - The buttons of the dialog.
+	 */
+	constructor({ component, props = {}, buttons = {}, ...options } = {}) {
+		super(options);
+		// The component is kept out of the application options, which would copy it
+		this.#component = component;
+		this.#props = props;
+		this.#buttons = buttons;
+	}
+
+	/**
+	 * Prepare the component, props and buttons of the dialog for the shell.
+	 * @param {Object} options - The render options.
+	 * @returns {Object} - The shared props.
+	 */
+	_prepareSharedProps(options) {
+		return shallowReactive({
+			...super._prepareSharedProps(options),
+			component: markRaw(this.#component),
+			props: reactive(this.#props),
+			buttons: this.#buttons
+		});
+	}
+
+	/**
+	 * Resolve the dialog with a value and close it.
+	 * @param {*} value - The result of the dialog.
+	 * @returns {Promise<void>}
+	 */
+	async resolve(value) {
+		const settle = this.#settle;
+		this.#settle = null;
+		settle?.resolve(value);
+		if (this.rendered) await this.close();
+	}
+
+	/**
+	 * Handle a click on a dialog button, resolving the dialog with the result of its callback.
+	 * @param {string} key - The key of the button.
+	 * @param {Event} event - The triggering event.
+	 * @param {*} value - The `v-model` value of the component.
+	 * @returns {Promise<void>}
+	 */
+	async _onClickButton(key, event, value) {
+		const button = this.#buttons[key];
+		const callback = (button instanceof Function) ? button : button?.callback;
+		const result = callback ? await callback.call(this, event, value, this) : (value ?? key);
+		await this.resolve(result);
+	}
+
+	/**
+	 * Settle the dialog when it is closed without a result.
+	 * @param {Object} options - The close options.
+	 */
+	_onClose(options) {
+		super._onClose(options);
+		const settle = this.#settle;
+		this.#settle = null;
+		if (settle?.rejectClose) settle.reject(new Error('The dialog was closed without a choice being made.'));
+		else settle?.resolve(null);
+	}
+
+	/**
+	 * Render a dialog and wait for its result.
+	 * @param {Object} config - The dialog config, other properties are passed as application options.
+	 * @param {Object} config.component - The component rendered by the dialog.
+	 * @param {Object} [config.props] - The props passed to the component.
+	 * @param {Object<string, VueDialogButton>} [config.buttons] - The buttons of the dialog.
+	 * @param {boolean} [config.rejectClose=false] - Reject instead of resolving with `null` when the dialog is closed.
+	 * @returns {Promise<*>} - The result of the dialog, or `null` when it was closed.
+	 */
+	static async wait({ rejectClose = false, ...config } = {}) {
+		return new Promise((resolve, reject) => {
+			const dialog = new this(config);
+			dialog.#settle = { resolve, reject, rejectClose };
+
+			// A dialog which fails to render can't be answered, so the error rejects the result
+			dialog.render(true).catch(error => {
+				dialog.#settle = null;
+				reject(error);
+			});
+		});
+	}
+
+	/**
+	 * Render a dialog with a single button, resolving with the value of the component.
+	 * @param {Object} config - The dialog config, see `wait`.
+	 * @param {VueDialogButton} [config.ok] - Overrides for the button.
+	 * @returns {Promise<*>} - The value of the component, or `null` when the dialog was closed.
+	 */
+	static async prompt({ ok = {}, ...config } = {}) {
+		return this.wait({
+			...config,
+			buttons: { ok: { label: 'Confirm', icon: 'fa-solid fa-check', default: true, ...ok } }
+		});
+	}
+
+	/**
+	 * Render a dialog with yes and no buttons.
+	 * @param {Object} config - The dialog config, see `wait`.
+	 * @param {VueDialogButton} [config.yes] - Overrides for the yes button.
+	 * @param {VueDialogButton} [config.no] - Overrides for the no button.
+	 * @returns {Promise<boolean|null>} - True or false for the clicked button, or `null` when the dialog was closed.
+	 */
+	static async confirm({ yes = {}, no = {}, ...config } = {}) {
+		return this.wait({
+			...config,
+			buttons: {
+				yes: { label: 'Yes', icon: 'fa-solid fa-check', callback: () => true, ...yes },
+				no: { label: 'No', icon: 'fa-solid fa-xmark', default: true, callback: () => false, ...no }
+			}
+		});
+	}
+}
@@ -0,0 +1,145 @@
+import { reactive, shallowReactive } from 'vue';
+import { VueApplicationMixin } from './VueApplicationMixin.mjs';
+
+/**
+ * A mixin class that extends a document sheet with Vue.js functionality.
+ * The `document`, `system`, `source` and `editable` props are shared with every part and kept up to date with the document.
+ * @template {typeof DocumentSheetV2} BaseApplication - The base document sheet class to extend.
+ */
+export function VueDocumentSheetMixin(BaseApplication) {
+	class VueDocumentSheet extends VueApplicationMixin(BaseApplication) {
+		/**
+		 * The private reactive state of the document shared with every part.
+		 * @type {Object|null}
+		 */
+		#state = null;
+
+		/**
+		 * The private ids of the hooks the sheet is subscribed to.
+		 * @type {Object<string, number>}
+		 */
+		#hooks = {};
+
+		/**
+		 * Prepare the document props which are shared by every part of the sheet.
+		 * -- The document itself is not made reactive, use `system` and `source` to react to changes
+		 * @param {Object} options - The render options.
+		 * @returns {Object} - The shared props.
+		 */
+		_prepareSharedProps(options) {
+			this.#state = shallowReactive({
+				...super._prepareSharedProps(options),
+				document: this.document,
+				system: reactive(VueDocumentSheet.#toPlainData(this.document.system)),
+				source: reactive(this.document.toObject()),
+				editable: this.isEditable
+			});
+			return this.#state;
+		}
+
+		/**
+		 * Prepare the initial form data of a part from the document's source data.
+		 * @param {string} partId - The id of the part.
+		 * @returns {Object} - The form data of the part.
+		 */
+		_prepareFormData(partId) {
+			return this.document.toObject();
+		}
+
+		/**
+		 * Validate the changes of a part's form data against the document's schema.
+		 * @param {string} partId - The id of the part.
+		 * @param {Object} changes - The changed form data.
+		 * @returns {Object<string, string>} - The validation errors, keyed by the path of the invalid field.
+		 */
+		_validateFormData(partId, changes) {
+			try {
+				this.document.validate({ changes: foundry.utils.deepClone(changes), clean: true, fallback: false });
+				return {};
+			}
+			catch (error) {
+				if (!(error instanceof foundry.data.validation.DataModelValidationError)) throw error;
+				return Object.fromEntries(Object.entries(error.getAllFailures()).map(([path, failure]) => [path, failure.message ?? String(failure)]));
+			}
+		}
+
+		/**
+		 * Subscribe to the document hooks after the first render.
+		 * @param {Object} context - The render context.
+		 * @param {Object} options - The render options.
+		 * @returns {Promise<void>}
+		 */
+		async _onFirstRender(context, options) {
+			await super._onFirstRender(context, options);
+
+			const { documentName } = this.document;
+			this.#hooks[`update${documentName}`] = Hooks.on(`update${documentName}`, this.#onUpdateDocument.bind(this));
+			this.#hooks[`delete${documentName}`] = Hooks.on(`delete${documentName}`, this.#onDeleteDocument.bind(this));
+		}
+
+		/**
+		 * Unsubscribe from the document hooks when the sheet is closed.
+		 * @param {Object} options - The close options.
+		 */
+		_onClose(options) {
+			for (const [hook, id] of Object.entries(this.#hooks)) Hooks.off(hook, id);
+			this.#hooks = {};
+			this.#state = null;
+			super._onClose(options);
+		}
+
+		/**
+		 * Apply the changes of an updated document to the shared props.
+		 *
+		 * @private
+		 * @param {Document} document - The updated document.
+		 * @param {Object} changed - The differential data that was changed.
+		 * @param {Object} options - The update options.
+		 * @param {string} userId - The id of the user who performed the update.
+		 */
+		#onUpdateDocument(document, changed, options, userId) {
+			if (document.uuid !== this.document.uuid || !this.#state) return;
+
+			// Close the sheet if the user is no longer allowed to view the document
+			if (!this.isVisible) return this.close();
+
+			// Apply the changes in place, so only the components using the changed fields re-render
+			foundry.utils.mergeObject(this.#state.source, changed, { inplace: true, performDeletions: true });
+			// -- System data is read from the prepared document to include derived values
+			foundry.utils.mergeObject(this.#state.system, VueDocumentSheet.#toPlainData(this.document.system), { inplace: true });
+
+			// Lock the sheet if the user is no longer allowed to edit the document
+			this.#state.editable = this.isEditable;
+
+			// Update the form data with the new source data, keeping the changes which have not been submitted yet
+			this._resetFormData();
+		}
+
+		/**
+		 * Close the sheet when its document is deleted.
+		 *
+		 * @private
+		 * @param {Document} document - The deleted document.
+		 */
+		#onDeleteDocument(document) {
+			if (document.uuid !== this.document.uuid) return;
+			this.close();
+		}
+
+		/**
+		 * Copy document data into plain objects which can be made reactive.
+		 * -- Data models use private fields, which don't work through Vue's proxies
+		 *
+		 * @private
+		 * @param {*} value - The value to copy.
+		 * @returns {*} - The plain copy of the value.
+		 */
+		static #toPlainData(value) {
+			if (Array.isArray(value)) return value.map(v => VueDocumentSheet.#toPlainData(v));
+			if (value?.constructor !== Object && !(value instanceof foundry.abstract.DataModel)) return value;
+			return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, VueDocumentSheet.#toPlainData(v)]));
+		}
+	}
+
+	return VueDocumentSheet;
+}
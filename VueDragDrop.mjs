@@ -0,0 +1,180 @@
+import { inject } from 'vue';
+
+/**
+ * Get the drag data of a document, a UUID or drag data, in Foundry's standard `{ type, uuid }` format.
+ * @param {ClientDocument|string|Object|Function} source - A document, a document UUID, drag data, or a function returning one of them.
+ * @returns {Object|null} - The drag data, or null if there is nothing to drag.
+ */
+export function getDragData(source) {
+	if (source instanceof Function) source = source();
+	if (!source) return null;
+	if (source.toDragData instanceof Function) return source.toDragData();
+	if (typeof source === 'string') {
+		const type = foundry.utils.parseUuid?.(source)?.documentType ?? source.split('.').at(-2);
+		return { type, uuid: source };
+	}
+	return source;
+}
+
+/**
+ * Resolve the document dropped with some drag data.
+ * @param {Object} data - The drag data.
+ * @returns {Promise<ClientDocument|null>} - The dropped document, or null if the data has no UUID.
+ */
+export async function resolveDragData(data) {
+	return data?.uuid ? await fromUuid(data.uuid) : null;
+}
+
+/**
+ * Start dragging a document, a UUID or drag data.
+ * @param {DragEvent} event - The dragstart event.
+ * @param {ClientDocument|string|Object|Function} source - What is dragged, see `getDragData`.
+ * @returns {Object|null} - The drag data, or null if there is nothing to drag.
+ */
+function startDrag(event, source) {
+	const data = getDragData(source);
+	if (!data) {
+		event.preventDefault();
+		return null;
+	}
+	event.dataTransfer.setData('text/plain', JSON.stringify(data));
+	return data;
+}
+
+/**
+ * Handle a drop, calling the drop handler or the application's `_onDropData`.
+ * -- Data of other types than the accepted ones is left to the elements around the drop target
+ * @param {DragEvent} event - The drop event.
+ * @param {HTMLElement} target - The drop target.
+ * @param {Object} [options] - The drop options.
+ * @param {Object|null} [options.application] - The application the drop target is rendered in.
+ * @param {string[]} [options.types] - The accepted types of drag data, every type is accepted when not given.
+ * @param {Function} [options.drop] - Handles the drop with `(event, document, data, target)` instead of the application.
+ * @returns {Promise<*>} - The result of the drop handler.
+ */
+async function dropData(event, target, { application = null, types, drop } = {}) {
+	const data = TextEditor.getDragEventData(event);
+	if (!data?.type || (types && !types.includes(data.type))) return;
+
+	event.preventDefault();
+	event.stopPropagation();
+
+	try {
+		if (drop) return await drop(event, await resolveDragData(data), data, target);
+		return await application?._onDropData(event, data, target);
+	}
+	catch (error) {
+		console.error(`VueDragDrop | Failed to drop ${data.type}`, error);
+		ui.notifications?.error(error.message);
+	}
+}
+
+/**
+ * Get the options of a drop target from its binding value.
+ * @param {Function|{ types?: string|string[], drop?: Function }|undefined} value - The binding value.
+ * @returns {{ types?: string[], drop?: Function }} - The drop options.
+ */
+function getDropOptions(value) {
+	if (value instanceof Function) return { drop: value };
+	const { types, drop } = value ?? {};
+	return { types: (typeof types === 'string') ? [types] : types, drop };
+}
+
+/**
+ * Make an element draggable, the value is a document, a UUID, drag data or a function returning one of them.
+ * The value is read when the drag starts, so elements Vue reuses for other items drag their current item.
+ *
+ * @example
+ * <li v-for="item in items" :key="item.id" v-draggable="item">{{ item.name }}</li>
+ */
+export const vDraggable = {
+	mounted(el, binding) {
+		el._vueDraggable = { value: binding.value, controller: new AbortController() };
+		el.draggable = !!binding.value;
+
+		const { signal } = el._vueDraggable.controller;
+		el.addEventListener('dragstart', (event) => {
+			if (startDrag(event, el._vueDraggable.value)) el.classList.add('dragging');
+		}, { signal });
+		el.addEventListener('dragend', () => el.classList.remove('dragging'), { signal });
+	},
+	updated(el, binding) {
+		el._vueDraggable.value = binding.value;
+		el.draggable = !!binding.value;
+	},
+	unmounted(el) {
+		el._vueDraggable?.controller.abort();
+		delete el._vueDraggable;
+	}
+};
+
+/**
+ * Create the drop target directive of an application.
+ * The value is a drop handler, or `{ types, drop }`. Without a drop handler, the application's `_onDropData` handles the drop.
+ * -- The element has the `drag-over` class while something is dragged over it
+ *
+ * @example
+ * <div v-droptarget></div>
+ * <div v-droptarget="{ types: ['Item'], drop: (event, item) => addToContainer(item) }"></div>
+ *
+ * @param {Object|null} [application=null] - The application which handles the drops.
+ * @returns {Object} - The directive.
+ */
+export function createDropTarget(application = null) {
+	return {
+		mounted(el, binding) {
+			el._vueDropTarget = { options: getDropOptions(binding.value), controller: new AbortController() };
+
+			const { signal } = el._vueDropTarget.controller;
+			el.addEventListener('dragover', (event) => {
+				event.preventDefault();
+				el.classList.add('drag-over');
+			}, { signal });
+			el.addEventListener('dragleave', (event) => {
+				if (!el.contains(event.relatedTarget)) el.classList.remove('drag-over');
+			}, { signal });
+			el.addEventListener('drop', (event) => {
+				el.classList.remove('drag-over');
+				dropData(event, el, { application, ...el._vueDropTarget.options });
+			}, { signal });
+		},
+		updated(el, binding) {
+			el._vueDropTarget.options = getDropOptions(binding.value);
+		},
+		unmounted(el) {
+			el._vueDropTarget?.controller.abort();
+			delete el._vueDropTarget;
+		}
+	};
+}
+
+/**
+ * A drop target which isn't rendered in an application, the drops are only handled by its drop handler.
+ * @type {Object}
+ */
+export const vDroptarget = createDropTarget();
+
+/**
+ * Get drag and drop event handlers for elements which don't use the directives.
+ * Must be called inside the `setup` function of a component.
+ *
+ * @example
+ * const { onDragStart, onDragOver, onDrop } = useDragDrop({ types: ['Item'] });
+ * // <li draggable="true" @dragstart="onDragStart($event, item)">
+ * // <div @dragover="onDragOver" @drop="onDrop">
+ *
+ * @param {Object} [options] - The drop options.
+ * @param {string|string[]} [options.types] - The accepted types of drag data.
+ * @param {Function} [options.drop] - Handles the drop with `(event, document, data, target)` instead of the application.
+ * @returns {{ onDragStart: Function, onDragOver: Function, onDrop: Function }} - The event handlers, `onDragStart(event, source)` drags a document, a UUID or drag data.
+ */
+export function useDragDrop(options = {}) {
+	const application = inject('application', null);
+	const dropOptions = getDropOptions(options);
+
+	return {
+		onDragStart: (event, source) => startDrag(event, source),
+		onDragOver: (event) => event.preventDefault(),
+		onDrop: (event) => dropData(event, event.currentTarget, { application, ...dropOptions })
+	};
+}
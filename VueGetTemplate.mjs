@@ -1,17 +1,37 @@
 import * as Vue from 'vue';
 import * as SFC from 'vue3-sfc-loader';
+import { acquireStyles, getRegisteredStyles, getStyleOwner, registerStyle, setStyleOwner, unregisterStyle } from './VueStyles.mjs';
 
 export const loadModule = (...args) => SFC.loadModule(...args);
 
 
 const VuePartials = {};
+
+/**
+ * The styles each Single File Component added the last time it was reloaded, keyed by its path.
+ * @type {Map<string, Set<string>>}
+ */
+const VueTemplateStyles = new Map();
+
+/**
+ * The last fetched source of each Single File Component, used by the watcher to detect changes.
+ * @type {Map<string, string>}
+ */
+const VueTemplateSources = new Map();
+
+/**
+ * The components rendered by `vueRenderTemplate`, their styles are added to the document once and never released.
+ * @type {WeakSet<Object>}
+ */
+const VueRenderedComponents = new WeakSet();
 /**
  * Options object for Vue Single File Components (SFC).
  *
  * @typedef {Object} VueSFCOptions
  * @property {Object} moduleCache - The module cache object.
  * @property {Function} getFile - A function that retrieves the content of a file.
- * @property {Function} addStyle - A function that adds styles to the document head.
+ * @property {Function} addStyle - A function that registers the styles of a component.
+ * @property {Function} handleModule - A function that compiles each Single File Component with its own `addStyle`.
  */
 export const VueSFCOptions = {
 	moduleCache: { vue: Vue },
@@ -36,21 +56,70 @@ export const VueSFCOptions = {
 		return { getContentData: asBinary => asBinary ? res.arrayBuffer() : res.text(), type: extension };
 	},
 	/**
-	 * Adds a new style element to the document's head with the provided text content.
+	 * Registers the styles of a component, `<style scoped>` and `<style module>` blocks are compiled by the loader.
+	 * Styles of Single File Components are keyed by the path of the component and only added to the document,
+	 * or the shadow root, while a VueApplication has the component mounted. Other styles are added to the document.
 	 *
-	 * @param {string} textContent - The CSS rules to be added as text content of the style element.
+	 * @param {string} textContent - The compiled CSS rules of the style.
+	 * @param {string} [scopeId] - The scope id of a scoped style.
+	 * @param {string} [path] - The path of the component the style belongs to.
 	 * @returns {void}
 	 */
-	addStyle(textContent) {
-		const style = Object.assign(document.createElement('style'), { textContent });
-		const ref = document.head.getElementsByTagName('style')[0] || null;
-		document.head.insertBefore(style, ref);
+	addStyle(textContent, scopeId, path) {
+		registerStyle(textContent, path);
+	},
+	/**
+	 * Compiles each Single File Component with an `addStyle` which passes its path, so its styles are keyed by the component itself.
+	 * A component imported by several templates is only compiled once, keying its styles by the component adds them wherever it is mounted.
+	 * -- The loader caches the component as loading while it is compiled, the compilation sees the module cache without that entry
+	 *
+	 * @param {string} type - The extension of the module.
+	 * @param {Function} getContentData - Returns the source of the module.
+	 * @param {string} path - The path of the module.
+	 * @param {Object} options - The options of the loader.
+	 * @returns {Promise<object|undefined>} - The compiled component, or undefined to let the loader handle other modules.
+	 */
+	async handleModule(type, getContentData, path, options) {
+		const owner = path.toString();
+		if (type !== '.vue' || options.styleOwner === owner) return undefined;
+
+		const pending = {};
+		const moduleCache = new Proxy(options.moduleCache, {
+			has: (target, key) => (key === owner) ? key in pending : key in target,
+			get: (target, key) => (key === owner) ? pending[key] : target[key],
+			set: (target, key, value) => {
+				if (key === owner) pending[key] = value;
+				else target[key] = value;
+				return true;
+			}
+		});
+
+		const component = await SFC.loadModule(owner, {
+			...options,
+			moduleCache,
+			styleOwner: owner,
+			getFile: (url) => (url.toString() === owner) ? { getContentData, type } : options.getFile(url),
+			addStyle: (textContent, scopeId, stylePath = owner) => options.addStyle(textContent, scopeId, stylePath)
+		});
+		setStyleOwner(component, owner);
+		return component;
 	},
 	log(type, ...args) {
         console[type](...args);
 	},
 }
 
+/**
+ * Registers a style preprocessor, so `<style lang="...">` blocks using it can be compiled.
+ * Without a registered preprocessor, components using that language fail to compile.
+ *
+ * @param {string} lang - The name the preprocessor is required by, for example `sass`, `less` or `stylus`.
+ * @param {Object} preprocessor - The preprocessor module.
+ */
+export function registerStylePreprocessor(lang, preprocessor) {
+	VueSFCOptions.moduleCache[lang] = preprocessor;
+}
+
 /**
  * Retrieves and compiles a Vue template from the specified path.
  * If the template has already been loaded, it returns the cached version.
@@ -60,33 +129,226 @@ export const VueSFCOptions = {
  * @returns {Promise<object>} - A promise that resolves to the compiled Vue template.
  */
 export async function vueGetTemplate(path, id) {
-	if (path in VuePartials) return VuePartials[path];
-	const vueComponent = await SFC.loadModule(path, VueSFCOptions);
+	if ((id ?? path) in VuePartials) return VuePartials[id ?? path];
+	// The styles of the component, and of each component it imports, are keyed by the path of that component
+	// -- A failed load is removed from the loader's cache, so loading the template again retries it
+	const vueComponent = await SFC.loadModule(path, VueSFCOptions).catch(error => {
+		delete VueSFCOptions.moduleCache[path];
+		throw error;
+	});
 	console.log(`VueGetTemplate | Retrieved and compiled template ${path}`, vueComponent);
 	VuePartials[id ?? path] = vueComponent;
 	return vueComponent;
 }
 
 /**
- * Renders a Vue template using the specified path and data.
+ * Normalize the path of a template, so paths with or without a leading slash or a query string match.
+ * @param {string} path - The path of the template.
+ * @returns {string} - The normalized path.
+ */
+function normalizeTemplatePath(path) {
+	return path.split('?')[0].replace(/^(\.?\/)+/, '');
+}
+
+/**
+ * Serialize a component definition for comparison, functions are compared by their source.
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The serialized value.
+ */
+function serializeComponentOption(value) {
+	try {
+		return JSON.stringify(value, (key, option) => (option instanceof Function) ? option.toString() : option) ?? String(value);
+	}
+	catch (error) {
+		return String(value);
+	}
+}
+
+/**
+ * Recompiles a Single File Component and updates every open VueApplication using it.
+ * The compiled component is updated in place, so the components which import it and the cached templates use the new version.
+ * -- When only the template changed, mounted components are re-rendered and keep their state
+ * -- Otherwise the parts using the component are remounted, their props are kept
+ *
+ * @param {string} path - The path of the Single File Component, it must already be loaded.
+ * @param {string} [content] - The new source of the component, it is fetched again if not provided.
+ * @returns {Promise<object|null>} - A promise that resolves to the reloaded component, or null if the component was never loaded.
+ */
+export async function vueReloadTemplate(path, content) {
+	const { moduleCache } = VueSFCOptions;
+	const key = Object.keys(moduleCache).find(key => normalizeTemplatePath(key) === normalizeTemplatePath(path));
+	if (!key) return null;
+
+	// Wait for a compilation which is still running, the loader caches it as a pending promise
+	const cached = moduleCache[key];
+	const previous = (cached?.promise instanceof Promise) ? await cached.promise : cached;
+	if (!previous || typeof previous !== 'object') return null;
+
+	// Compile the component again, reading the provided source instead of fetching the file
+	// -- Only the reloaded file is compiled, the components it imports stay in the module cache
+	const owner = getStyleOwner(previous);
+	const styles = new Set();
+	delete moduleCache[key];
+	let component;
+	try {
+		component = await SFC.loadModule(key, {
+			...VueSFCOptions,
+			getFile: (url) => (content != null && url === key) ? { getContentData: () => content, type: '.vue' } : VueSFCOptions.getFile(url),
+			addStyle: (textContent, scopeId, stylePath = owner) => {
+				styles.add(textContent);
+				VueSFCOptions.addStyle(textContent, scopeId, stylePath);
+			}
+		});
+	}
+	catch (error) {
+		// Keep the previous version so open applications continue to work
+		moduleCache[key] = previous;
+		throw error;
+	}
+	if (content != null) VueTemplateSources.set(key, content);
+
+	// Remove the styles the previous version added which the new version no longer has
+	// -- Styles of a component which was never reloaded are the styles registered for its path
+	const previousStyles = VueTemplateStyles.get(key) ?? (owner ? getRegisteredStyles(owner) : getRegisteredStyles().filter(css => previous.__scopeId && css.includes(previous.__scopeId)));
+	for (const css of previousStyles) if (!styles.has(css)) unregisterStyle(css);
+	VueTemplateStyles.set(key, styles);
+
+	// Check if only the render function changed, before updating the previous definition
+	const options = new Set([...Object.keys(previous), ...Object.keys(component)]);
+	options.delete('render');
+	const renderOnly = [...options].every(option => serializeComponentOption(previous[option]) === serializeComponentOption(component[option]));
+
+	// Update the component in place, so every reference to it uses the new version
+	for (const option of Object.keys(previous)) if (!(option in component)) delete previous[option];
+	Object.assign(previous, component);
+	moduleCache[key] = previous;
+
+	// Update the components mounted by open applications
+	for (const application of foundry.applications.instances.values()) application._onReloadComponent?.(previous, { renderOnly });
+
+	console.log(`VueGetTemplate | Reloaded template ${key}`, previous);
+	Hooks.callAll('vueReloadTemplate', key, previous, { renderOnly });
+	return previous;
+}
+
+/**
+ * Watches the loaded Single File Components for changes and reloads them with `vueReloadTemplate`.
+ * Meant for developing modules, the watcher is only started when this function is called.
+ * -- Foundry's `hotReload` hook reloads changed `.vue` files, add `vue` to the `flags.hotReload.extensions` of the package manifest
+ * -- With `socket`, a message `{ action: 'vueReloadTemplate', path }` on that socket channel reloads the template
+ * -- With `interval`, the loaded `.vue` files are fetched again every interval and reloaded when their source changed
+ *
+ * @param {Object} [options] - The watcher options.
+ * @param {string} [options.socket] - The socket channel to listen on, for example `module.my-module`.
+ * @param {number} [options.interval=0] - The poll interval in milliseconds, polling is disabled when 0.
+ * @returns {Function} - A function which stops the watcher.
+ */
+export function vueWatchTemplates({ socket, interval = 0 } = {}) {
+	const reload = (path, content) => vueReloadTemplate(path, content).catch(error => console.error(`VueGetTemplate | Failed to reload template ${path}`, error));
+
+	// Reload templates which Foundry reports as changed, other files are left to Foundry
+	const hookId = Hooks.on('hotReload', ({ extension, path, content } = {}) => {
+		if (extension !== 'vue') return;
+		reload(path, content);
+		return false;
+	});
+
+	// Reload templates when a socket message asks for it
+	const onSocket = (data) => {
+		if (data?.action === 'vueReloadTemplate' && data.path) reload(data.path, data.content);
+	};
+	if (socket) game.socket.on(socket, onSocket);
+
+	// Poll the loaded templates, a poll is skipped while the previous one is still running
+	let polling = false;
+	const poll = async () => {
+		if (polling) return;
+		polling = true;
+		try {
+			for (const key of Object.keys(VueSFCOptions.moduleCache).filter(key => normalizeTemplatePath(key).endsWith('.vue'))) {
+				const res = await fetch(key, { cache: 'no-store' }).catch(() => null);
+				if (!res?.ok) continue;
+
+				const source = await res.text();
+				const known = VueTemplateSources.get(key);
+				VueTemplateSources.set(key, source);
+				if (known !== undefined && known !== source) await reload(key, source);
+			}
+		}
+		finally {
+			polling = false;
+		}
+	};
+	const timer = interval > 0 ? setInterval(poll, interval) : null;
+	if (timer) poll();
+
+	return () => {
+		Hooks.off('hotReload', hookId);
+		if (socket) game.socket.off(socket, onSocket);
+		if (timer) clearInterval(timer);
+	};
+}
+
+/**
+ * Renders a Vue template to an HTML string using Vue's server renderer.
+ * The HTML can be used wherever Foundry expects the output of `renderTemplate`, like chat messages, tooltips, dialogs and journal enrichers.
+ * -- The styles of the rendered components are added to the document once, they stay there because the HTML outlives the render
+ * -- The server renderer is imported the first time a template is rendered, `vue/server-renderer` must be resolvable like `vue`
  *
  * @param {string} path - The path to the Vue template.
- * @param {Object} data - The data to be passed to the Vue template.
- * @returns {Promise} - A promise that resolves when the template is rendered.
+ * @param {Object} [data={}] - The props passed to the Vue template.
+ * @param {Object} [options] - The render options.
+ * @param {Object<string, { plugin: Object, options?: Object }>} [options.use] - Plugins to use while rendering, like the `use` map of a part.
+ * @returns {Promise<string>} - A promise that resolves to the rendered HTML.
  */
-async function vueRenderTemplate(path, data) {
-	return await vueGetTemplate(path);
+export async function vueRenderTemplate(path, data = {}, { use = {} } = {}) {
+	const component = await vueGetTemplate(path);
+	const { renderToString } = await import('vue/server-renderer');
+
+	const app = Vue.createSSRApp(component, data);
+	for (const plugin of Object.values(use)) app.use(plugin.plugin, plugin?.options ?? {});
+
+	// Keep the styles of every rendered component, including the components it imports, in the document
+	// -- The root instance renders a copy of the component, so the component itself is kept for it
+	const retainStyles = (type) => {
+		if (VueRenderedComponents.has(type)) return;
+		VueRenderedComponents.add(type);
+		acquireStyles(document, type);
+	};
+	app.mixin({
+		created() {
+			retainStyles(this.$.parent ? this.$.type : component);
+		}
+	});
+	return await renderToString(app);
 }
 
 /**
- * Loads Vue templates asynchronously.
+ * Loads Vue templates asynchronously, so they are compiled before they are used.
+ * A template which fails to load doesn't stop the others from loading, its error is collected instead.
  *
  * @param {Object|string[]} paths - The paths to the templates to be loaded. If an object is provided, each key-value pair represents a template name and its corresponding path. If an array is provided, each element represents a template path.
- * @returns {Promise[]} - An array of promises that resolve when all templates are loaded.
+ * @param {Object} [options] - The load options.
+ * @param {Function} [options.onProgress] - Called after each template is loaded or failed, with `(loaded, total, path, error)`.
+ * @returns {Promise<{ templates: Object<string, object>, errors: Object<string, Error> }>} - The loaded templates and the errors, keyed by template name or path.
  */
-async function vueLoadTemplates(paths) {
-	let promises;
-	if (foundry.utils.getType(paths) === "Object") promises = Object.entries(paths).map(([k, p]) => vueGetTemplate(p, k));
-	else promises = paths.map(p => vueGetTemplate(p));
-	return Promise.all(promises);
-}
\ No newline at end of file
+export async function vueLoadTemplates(paths, { onProgress } = {}) {
+	const entries = (foundry.utils.getType(paths) === "Object") ? Object.entries(paths) : paths.map(p => [p, p]);
+	const templates = {};
+	const errors = {};
+	let loaded = 0;
+
+	await Promise.allSettled(entries.map(async ([key, path]) => {
+		let error;
+		try {
+			templates[key] = await vueGetTemplate(path, key === path ? undefined : key);
+		}
+		catch (err) {
+			error = errors[key] = err;
+			console.error(`VueGetTemplate | Failed to load template ${path}`, err);
+		}
+		onProgress?.(++loaded, entries.length, path, error);
+	}));
+
+	return { templates, errors };
+}
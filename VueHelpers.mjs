@@ -1,3 +1,6 @@
+import { eq, ne, lt, gt, lte, gte, not, and, or, ifThen, concat, includes, between, coalesce } from './VueLogicHelpers.mjs';
+import { localize } from './VueLocalization.mjs';
+
 /**
  * For checkboxes, if the value of the checkbox is true, add the "checked" property, otherwise add nothing.
  * @param {boolean} value - The value of the checkbox.
@@ -12,14 +15,6 @@ const checked = (value) => Handlebars.helpers.checked(value);
  */
 const disabled = (value) => Handlebars.helpers.disabled(value);
 
-/**
- * Concatenate a number of string terms into a single string.
- * This is useful for passing arguments with variable names.
- * @param {string[]} values - The values to concatenate
- * @returns {Handlebars.SafeString} - The concatenated string
- */
-const concat = (...values) => Handlebars.helpers.concat(...values);
-
 /**
  * Construct an editor element for rich text editing with TinyMCE or ProseMirror.
  * @param {string} content - The content to display and edit.
@@ -34,23 +29,6 @@ const concat = (...values) => Handlebars.helpers.concat(...values);
  */
 const editor = (content, options) => Handlebars.helpers.editor(content, { hash: options });
 
-/**
- * A ternary expression that allows inserting A or B depending on the value of C.
- * @param {boolean} criteria - The test criteria
- * @param {string} ifTrue - The string to output if true
- * @param {string} ifFalse - The string to output if false
- * @returns {string} - The ternary result
- */
-const ifThen = (criteria, ifTrue, ifFalse) => Handlebars.helpers.ifThen(criteria, ifTrue, ifFalse);
-
-/**
- * Translate a provided string key by using the loaded dictionary of localization strings.
- * @param {string} value - The string key to translate
- * @param {object} [data] - Additional data to pass to the localization string
- * @returns {string} - The translated string
- */
-const localize = (value, data = {}) => Handlebars.helpers.localize(value, { hash: data });
-
 /**
  * A string formatting helper to display a number with a certain fixed number of decimals and an explicit sign.
  * @param {number|string} value - A numeric value to format
@@ -136,76 +114,9 @@ const formField = (field, options) => Handlebars.helpers.formField(field, { hash
  */
 const timeSince = (timeStamp) => Handlebars.helpers.timeSince(timeStamp);
 
-/**
- * Checks if two values are equal using Handlebars helpers.
- * @param {*} v1 - The first value to compare.
- * @param {*} v2 - The second value to compare.
- * @returns {boolean} - Returns true if the values are equal, otherwise false.
- */
-const eq = (v1, v2) => Handlebars.helpers.eq(v1, v2);
-
-/**
- * Checks if two values are not equal using the Handlebars `ne` helper.
- * @param {*} v1 - The first value to compare.
- * @param {*} v2 - The second value to compare.
- * @returns {boolean} - Returns `true` if the values are not equal, `false` otherwise.
- */
-const ne = (v1, v2) => Handlebars.helpers.ne(v1, v2);
-
-/**
- * Compares two values and returns true if the first value is less than the second value.
- * @param {*} v1 - The first value to compare.
- * @param {*} v2 - The second value to compare.
- * @returns {boolean} - True if v1 is less than v2, false otherwise.
- */
-const lt = (v1, v2) => Handlebars.helpers.lt(v1, v2);
-
-/**
- * Compares two values and returns true if the first value is greater than the second value.
- * @param {*} v1 - The first value to compare.
- * @param {*} v2 - The second value to compare.
- * @returns {boolean} - True if `v1` is greater than `v2`, false otherwise.
- */
-const gt = (v1, v2) => Handlebars.helpers.gt(v1, v2);
-
-/**
- * Checks if the first value is less than or equal to the second value.
- * @param {any} v1 - The first value to compare.
- * @param {any} v2 - The second value to compare.
- * @returns {boolean} Returns `true` if `v1` is less than or equal to `v2`, otherwise `false`.
- */
-const lte = (v1, v2) => Handlebars.helpers.lte(v1, v2);
-
-/**
- * Checks if the first value is greater than or equal to the second value.
- * @param {any} v1 - The first value to compare.
- * @param {any} v2 - The second value to compare.
- * @returns {boolean} Returns `true` if `v1` is greater than or equal to `v2`, otherwise `false`.
- */
-const gte = (v1, v2) => Handlebars.helpers.gte(v1, v2);
-
-/**
- * Returns the logical negation of the given predicate.
- * @param {Function} pred - The predicate function to negate.
- * @returns {boolean} The logical negation of the predicate.
- */
-const not = (pred) => Handlebars.helpers.not(pred);
-
-/**
- * Returns the logical AND of all the arguments.
- * @param {...*} arguments - The values to be evaluated.
- * @returns {boolean} The result of the logical AND operation.
- */
-const and = () => Handlebars.helpers.and(arguments);
-
-/**
- * Returns the first truthy value from the provided arguments.
- * @param {...*} arguments - The values to check for truthiness.
- * @returns {*} - The first truthy value, or `undefined` if all values are falsy.
- */
-const or = () => Handlebars.helpers.or(arguments);
-
 // Export the Handlebars helpers
+// -- The logic helpers are plain JavaScript from VueLogicHelpers.mjs, so they don't need Handlebars
+// -- localize is the reactive version from VueLocalization.mjs, so components re-render when the language changes
 export {
 	checked,
 	disabled,
@@ -230,5 +141,8 @@ export {
 	gte,
 	not,
 	and,
-	or
+	or,
+	includes,
+	between,
+	coalesce
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { computed, reactive, shallowRef, triggerRef, watchEffect } from 'vue';
+
+/**
+ * The reactive translations of `game.i18n`, created the first time a localization function is used.
+ * @type {import('vue').ShallowRef<Object>|null}
+ */
+let translations = null;
+
+/**
+ * Make the translations of `game.i18n` reactive.
+ * Components which localize strings re-render when the language changes or when translations are merged in at runtime.
+ * Calling this more than once does nothing.
+ */
+export function installReactiveTranslations() {
+	if (translations || !globalThis.game?.i18n) return;
+
+	// Replace the translations with a reactive version, assigning new translations (like setLanguage does) keeps them reactive
+	translations = shallowRef(reactive(game.i18n.translations ?? {}));
+	Object.defineProperty(game.i18n, 'translations', {
+		configurable: true,
+		enumerable: true,
+		get: () => translations.value,
+		set: (value) => translations.value = reactive(value ?? {})
+	});
+}
+
+/**
+ * Re-render every component which localizes strings.
+ * Only needed when translations are changed without going through `game.i18n.translations`.
+ */
+export function refreshLocalization() {
+	if (translations) triggerRef(translations);
+}
+
+/**
+ * Translate a provided string key by using the loaded dictionary of localization strings.
+ * When data is given, the string is formatted with it, like the `localize` Handlebars helper does.
+ * @param {string} key - The string key to translate
+ * @param {object} [data] - Additional data to format the localization string with
+ * @returns {string} - The translated string
+ */
+export function localize(key, data = {}) {
+	if (!key) return '';
+	installReactiveTranslations();
+	return foundry.utils.isEmpty(data ?? {}) ? game.i18n.localize(key) : game.i18n.format(key, data);
+}
+
+/**
+ * Translate a provided string key and format it with the provided data.
+ * @param {string} key - The string key to translate
+ * @param {object} [data] - The data to format the localization string with
+ * @returns {string} - The translated and formatted string
+ */
+export function format(key, data = {}) {
+	if (!key) return '';
+	installReactiveTranslations();
+	return game.i18n.format(key, data);
+}
+
+/**
+ * Get the localization functions and the current language inside a component.
+ * @returns {{ t: Function, tf: Function, lang: import('vue').ComputedRef<string> }} - The localization functions and the current language.
+ */
+export function useLocalize() {
+	installReactiveTranslations();
+	return {
+		t: localize,
+		tf: format,
+		// The language changes together with the translations
+		lang: computed(() => (translations?.value, game.i18n.lang))
+	};
+}
+
+/**
+ * Localize the text of an element, or one of its attributes when the directive has an argument.
+ * The value is a string key, or an array of a string key and the data to format it with.
+ *
+ * @example
+ * <input v-localize:placeholder="'MYMODULE.Search'">
+ * <span v-localize="['MYMODULE.Count', { count }]"></span>
+ */
+export const vLocalize = {
+	mounted(el, binding) {
+		el._vueLocalize = shallowRef(binding);
+
+		// Re-apply the localization when the binding or the translations change
+		el._vueLocalizeStop = watchEffect(() => {
+			const { arg, value } = el._vueLocalize.value;
+			const [key, data] = Array.isArray(value) ? value : [value];
+			const text = localize(key, data);
+
+			if (arg) el.setAttribute(arg, text);
+			else el.textContent = text;
+		});
+	},
+	updated(el, binding) {
+		el._vueLocalize.value = binding;
+	},
+	unmounted(el) {
+		el._vueLocalizeStop?.();
+	}
+};
+
+/**
+ * A Vue plugin which provides `$t`, `$tf` and the `v-localize` directive.
+ * Register it through a part's `use` map: `use: { localization: { plugin: VueLocalizationPlugin } }`.
+ * @type {{ install: Function }}
+ */
+export const VueLocalizationPlugin = {
+	/**
+	 * Add the localization functions and directive to a Vue application.
+	 * @param {import('vue').App} app - The Vue application.
+	 */
+	install(app) {
+		installReactiveTranslations();
+		app.config.globalProperties.$t = localize;
+		app.config.globalProperties.$tf = format;
+		app.directive('localize', vLocalize);
+	}
+};
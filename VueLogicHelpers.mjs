@@ -0,0 +1,159 @@
+/**
+ * Logic and comparison helpers written in plain JavaScript.
+ * They don't use Foundry or Handlebars, so they work in tests and can be called directly in Vue templates.
+ */
+
+/**
+ * Checks if two values are equal.
+ * @param {*} v1 - The first value to compare.
+ * @param {*} v2 - The second value to compare.
+ * @returns {boolean} - Returns true if the values are equal, otherwise false.
+ */
+const eq = (v1, v2) => v1 === v2;
+
+/**
+ * Checks if two values are not equal.
+ * @param {*} v1 - The first value to compare.
+ * @param {*} v2 - The second value to compare.
+ * @returns {boolean} - Returns `true` if the values are not equal, `false` otherwise.
+ */
+const ne = (v1, v2) => v1 !== v2;
+
+/**
+ * Compares two values and returns true if the first value is less than the second value.
+ * @param {*} v1 - The first value to compare.
+ * @param {*} v2 - The second value to compare.
+ * @returns {boolean} - True if v1 is less than v2, false otherwise.
+ */
+const lt = (v1, v2) => v1 < v2;
+
+/**
+ * Compares two values and returns true if the first value is greater than the second value.
+ * @param {*} v1 - The first value to compare.
+ * @param {*} v2 - The second value to compare.
+ * @returns {boolean} - True if `v1` is greater than `v2`, false otherwise.
+ */
+const gt = (v1, v2) => v1 > v2;
+
+/**
+ * Checks if the first value is less than or equal to the second value.
+ * @param {any} v1 - The first value to compare.
+ * @param {any} v2 - The second value to compare.
+ * @returns {boolean} Returns `true` if `v1` is less than or equal to `v2`, otherwise `false`.
+ */
+const lte = (v1, v2) => v1 <= v2;
+
+/**
+ * Checks if the first value is greater than or equal to the second value.
+ * @param {any} v1 - The first value to compare.
+ * @param {any} v2 - The second value to compare.
+ * @returns {boolean} Returns `true` if `v1` is greater than or equal to `v2`, otherwise `false`.
+ */
+const gte = (v1, v2) => v1 >= v2;
+
+/**
+ * Returns the logical negation of the given value.
+ * @param {*} pred - The value to negate.
+ * @returns {boolean} The logical negation of the value.
+ */
+const not = (pred) => !pred;
+
+/**
+ * Returns the logical AND of all the arguments.
+ * @param {...*} values - The values to be evaluated.
+ * @returns {boolean} The result of the logical AND operation.
+ */
+const and = (...values) => values.every(Boolean);
+
+/**
+ * Returns the logical OR of all the arguments.
+ * @param {...*} values - The values to check for truthiness.
+ * @returns {boolean} - True if any of the values is truthy, otherwise false.
+ */
+const or = (...values) => values.some(Boolean);
+
+/**
+ * A ternary expression that allows inserting A or B depending on the value of C.
+ * @param {boolean} criteria - The test criteria
+ * @param {*} ifTrue - The value to output if true
+ * @param {*} [ifFalse=""] - The value to output if false
+ * @returns {*} - The ternary result
+ */
+const ifThen = (criteria, ifTrue, ifFalse = '') => criteria ? ifTrue : ifFalse;
+
+/**
+ * Concatenate a number of string terms into a single string.
+ * This is useful for passing arguments with variable names.
+ * @param {...*} values - The values to concatenate
+ * @returns {string} - The concatenated string
+ */
+const concat = (...values) => values.map(value => value ?? '').join('');
+
+/**
+ * Checks if a collection includes a value.
+ * Arrays, strings, Sets and Maps are checked for the value, other objects are checked for the key.
+ * @param {Array|string|Set|Map|Object} collection - The collection to search.
+ * @param {*} value - The value to search for.
+ * @returns {boolean} - True if the collection includes the value, otherwise false.
+ */
+const includes = (collection, value) => {
+	if (collection == null) return false;
+	if (Array.isArray(collection) || typeof collection === 'string') return collection.includes(value);
+	if (collection instanceof Set || collection instanceof Map) return collection.has(value);
+	return Object.hasOwn(collection, value);
+};
+
+/**
+ * Checks if a value is between a minimum and a maximum.
+ * @param {number} value - The value to check.
+ * @param {number} min - The minimum value.
+ * @param {number} max - The maximum value.
+ * @param {boolean} [inclusive=true] - Whether the minimum and maximum are part of the range.
+ * @returns {boolean} - True if the value is in the range, otherwise false.
+ */
+const between = (value, min, max, inclusive = true) => inclusive ? (value >= min && value <= max) : (value > min && value < max);
+
+/**
+ * Returns the first value which is not `null` or `undefined`.
+ * @param {...*} values - The values to check.
+ * @returns {*} - The first value which is not `null` or `undefined`, otherwise `undefined`.
+ */
+const coalesce = (...values) => values.find(value => value != null);
+
+/**
+ * A Vue plugin which adds the helpers to `app.config.globalProperties`, so templates can call them directly.
+ * @type {{ install: Function }}
+ */
+const VueLogicHelpersPlugin = {
+	/**
+	 * Add the helpers to a Vue application.
+	 * @param {import('vue').App} app - The Vue application.
+	 * @param {Object} [options] - The plugin options.
+	 * @param {string} [options.prefix=""] - A prefix added to the name of every helper, for example `$` to call `$eq()`.
+	 */
+	install(app, { prefix = '' } = {}) {
+		const helpers = { eq, ne, lt, gt, lte, gte, not, and, or, ifThen, concat, includes, between, coalesce };
+		for (const [name, helper] of Object.entries(helpers)) {
+			app.config.globalProperties[`${prefix}${name}`] = helper;
+		}
+	}
+};
+
+// Export the logic helpers
+export {
+	eq,
+	ne,
+	lt,
+	gt,
+	lte,
+	gte,
+	not,
+	and,
+	or,
+	ifThen,
+	concat,
+	includes,
+	between,
+	coalesce,
+	VueLogicHelpersPlugin
+};
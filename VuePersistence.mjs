@@ -0,0 +1,149 @@
+/**
+ * Where persisted state is stored.
+ *
+ * @typedef {Object} VuePersistenceConfig
+ * @property {'client'|'world'|'user'|'document'} [storage='client'] - A client or world setting, a flag of the current user, or a flag of a document.
+ * @property {string} scope - The namespace of the setting or flag, usually the id of the module.
+ * @property {string} key - The key of the setting or flag, flags can use a dotted path.
+ * @property {ClientDocument} [document] - The document whose flag is used, required by the `document` storage.
+ */
+
+/**
+ * Reads, writes and watches persisted state.
+ *
+ * @typedef {Object} VuePersistence
+ * @property {Function} load - Returns the persisted state, or undefined if nothing was persisted.
+ * @property {Function} save - Persists the state, returns a promise.
+ * @property {Function} clear - Removes the persisted state, returns a promise.
+ * @property {Function} unset - Removes one key of the persisted state, returns a promise.
+ * @property {Function} subscribe - Calls a callback with the state when it is changed by another client, returns a function which unsubscribes.
+ */
+
+/**
+ * The callbacks subscribed to each setting, a setting's `onChange` can only be given when it is registered.
+ * @type {Map<string, Set<Function>>}
+ */
+const SettingSubscribers = new Map();
+
+/**
+ * Get the persistence of a setting, the setting is registered the first time it is used.
+ * @param {VuePersistenceConfig} config - The setting.
+ * @returns {VuePersistence} - The persistence of the setting.
+ */
+function getSettingPersistence({ storage, scope, key }) {
+	const id = `${scope}.${key}`;
+	if (!SettingSubscribers.has(id)) {
+		SettingSubscribers.set(id, new Set());
+		if (!game.settings.settings.has(id)) {
+			game.settings.register(scope, key, {
+				scope: storage,
+				config: false,
+				type: Object,
+				default: {},
+				onChange: (value) => {
+					for (const callback of SettingSubscribers.get(id)) callback(value);
+				}
+			});
+		}
+	}
+
+	return {
+		load: () => game.settings.get(scope, key),
+		save: (data) => game.settings.set(scope, key, data),
+		clear: () => game.settings.set(scope, key, {}),
+		unset: (entry) => {
+			const data = { ...game.settings.get(scope, key) };
+			delete data[entry];
+			return game.settings.set(scope, key, data);
+		},
+		subscribe: (callback) => {
+			SettingSubscribers.get(id).add(callback);
+			return () => SettingSubscribers.get(id).delete(callback);
+		}
+	};
+}
+
+/**
+ * Get the update which deletes a flag, or a key inside it.
+ * -- `unsetFlag` can't delete a dotted key, so the deletion key is placed on the last segment of the path
+ * @param {string} scope - The namespace of the flag.
+ * @param {string} path - The dotted path of the flag.
+ * @returns {Object} - The update data.
+ */
+function getUnsetFlagUpdate(scope, path) {
+	const parts = path.split('.');
+	const last = parts.pop();
+	return { [['flags', scope, ...parts, `-=${last}`].join('.')]: null };
+}
+
+/**
+ * Get the persistence of a flag of a document.
+ * @param {VuePersistenceConfig} config - The flag.
+ * @returns {VuePersistence} - The persistence of the flag.
+ */
+function getFlagPersistence({ scope, key, document }) {
+	const hook = `update${document.documentName}`;
+	return {
+		load: () => document.getFlag(scope, key),
+		save: (data) => document.setFlag(scope, key, data),
+		clear: () => document.update(getUnsetFlagUpdate(scope, key)),
+		unset: (entry) => document.update(getUnsetFlagUpdate(scope, `${key}.${entry}`)),
+		subscribe: (callback) => {
+			const hookId = Hooks.on(hook, (updated, changed) => {
+				if (updated === document && foundry.utils.hasProperty(changed, `flags.${scope}.${key}`)) callback(document.getFlag(scope, key));
+			});
+			return () => Hooks.off(hook, hookId);
+		}
+	};
+}
+
+/**
+ * Get the persistence of a flag of the current user.
+ * @param {VuePersistenceConfig} config - The flag.
+ * @returns {VuePersistence} - The persistence of the flag.
+ */
+function getUserPersistence({ scope, key }) {
+	return getFlagPersistence({ scope, key, document: game.user });
+}
+
+/**
+ * Get the persistence for a storage config.
+ * Settings are registered when their persistence is first requested, so it must be requested during or after the `init` hook.
+ * @param {VuePersistenceConfig} config - Where the state is stored.
+ * @returns {VuePersistence} - The persistence.
+ */
+export function getPersistence({ storage = 'client', scope, key, document } = {}) {
+	if (!scope || !key) throw new Error('VuePersistence | A scope and a key are required to persist state');
+	if (storage === 'user') return getUserPersistence({ scope, key });
+	if (storage === 'document') {
+		if (!document) throw new Error('VuePersistence | A document is required to persist state in its flags');
+		return getFlagPersistence({ scope, key, document });
+	}
+	if (storage === 'client' || storage === 'world') return getSettingPersistence({ storage, scope, key });
+	throw new Error(`VuePersistence | Unknown storage "${storage}"`);
+}
+
+/**
+ * Pick the values of some paths from an object.
+ * @param {Object} object - The object to pick from.
+ * @param {string[]} [paths] - The paths to pick, the whole object is picked when no paths are given.
+ * @returns {Object} - A plain copy of the picked values.
+ */
+export function pickPaths(object, paths) {
+	if (!paths) return foundry.utils.deepClone(object);
+	const picked = {};
+	for (const path of paths) {
+		const value = foundry.utils.getProperty(object, path);
+		if (value !== undefined) foundry.utils.setProperty(picked, path, foundry.utils.deepClone(value));
+	}
+	return picked;
+}
+
+/**
+ * Run a function once the game is ready, settings and flags can only be read then.
+ * @param {Function} fn - The function to run.
+ */
+export function whenReady(fn) {
+	if (game.ready) fn();
+	else Hooks.once('ready', fn);
+}
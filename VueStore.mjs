@@ -0,0 +1,128 @@
+import { effectScope, reactive, shallowReactive, watch } from 'vue';
+import { getPersistence, pickPaths, whenReady } from './VuePersistence.mjs';
+import { syncStore } from './VueSync.mjs';
+
+/**
+ * The plugins installed into every VueApplication, with their options.
+ * @type {Map<Object, Object>}
+ */
+const VuePlugins = new Map();
+
+/**
+ * The shared stores, keyed by their id.
+ * -- Stores are module-level reactive objects, so every VueApplication using a store sees the same data
+ * @type {Object<string, Object>}
+ */
+const VueStores = shallowReactive({});
+
+/**
+ * The effect scope of the persistence watchers, they live as long as the stores.
+ * @type {EffectScope}
+ */
+const VueStoreScope = effectScope(true);
+
+/**
+ * Install a plugin into every VueApplication, for example a Pinia instance so every window shares its stores.
+ * A plugin is only installed once per VueApplication, even if parts list it in their `use` map too.
+ *
+ * @param {Object} plugin - The Vue plugin.
+ * @param {Object} [options={}] - The options passed to the plugin.
+ */
+export function registerVuePlugin(plugin, options = {}) {
+	if (!VuePlugins.has(plugin)) VuePlugins.set(plugin, options);
+}
+
+/**
+ * Get the plugins installed into every VueApplication.
+ * @returns {Array<[Object, Object]>} - The plugins with their options.
+ */
+export function getVuePlugins() {
+	return [...VuePlugins];
+}
+
+/**
+ * Keep part of a store in a setting or flag, restoring it when the game is ready and saving it when it changes.
+ * @param {Object} store - The reactive store.
+ * @param {Object} config - The persistence config.
+ * @param {string[]} [config.paths] - The paths of the store to persist, the whole store is persisted when no paths are given.
+ * @param {number} [config.debounce=500] - The time in milliseconds to wait after a change before saving.
+ */
+function persistStore(store, { paths, debounce = 500, ...config }) {
+	const persistence = getPersistence(config);
+	let saved = null;
+
+	// Apply state saved by this or another client, skipping the state this client just saved
+	const restore = (data) => {
+		if (!data || foundry.utils.isEmpty(data)) return;
+		foundry.utils.mergeObject(store, pickPaths(data, paths), { inplace: true });
+		saved = JSON.stringify(pickPaths(store, paths));
+	};
+
+	const save = foundry.utils.debounce(async (data) => {
+		try {
+			await persistence.save(data);
+		}
+		catch (error) {
+			console.error(`VueStore | Failed to persist store ${config.key}`, error);
+		}
+	}, debounce);
+
+	whenReady(() => {
+		restore(persistence.load());
+		persistence.subscribe(restore);
+
+		VueStoreScope.run(() => watch(() => pickPaths(store, paths), (data) => {
+			const json = JSON.stringify(data);
+			if (json === saved) return;
+			saved = json;
+			save(data);
+		}, { deep: true }));
+	});
+}
+
+/**
+ * Define a shared store, or get it if it was already defined.
+ * The store is injected into every VueApplication, components get it with `useVueStore(id)` or `$stores[id]`.
+ *
+ * @param {string} id - The id of the store.
+ * @param {Object|Function} [state={}] - The initial state, or a function returning it.
+ * @param {Object} [options] - The store options.
+ * @param {Object} [options.persist] - Persist the store in a setting or flag: `{ storage: 'client'|'world'|'user', scope, key, paths, debounce }`.
+ * @param {Object} [options.sync] - Sync the store with the other clients over a socket: `{ channel, paths, writable, canWrite }`, see `syncStore`.
+ * @returns {Object} - The reactive store.
+ */
+export function defineVueStore(id, state = {}, { persist, sync } = {}) {
+	if (VueStores[id]) return VueStores[id];
+
+	const store = reactive(state instanceof Function ? state() : state);
+	VueStores[id] = store;
+	if (persist) persistStore(store, { key: `store-${id}`, ...persist });
+	if (sync) syncStore(store, { name: id, ...sync });
+	return store;
+}
+
+/**
+ * Get a shared store inside a component, or anywhere else once it is defined.
+ * @param {string} id - The id of the store.
+ * @returns {Object|undefined} - The reactive store.
+ */
+export function useVueStore(id) {
+	return VueStores[id];
+}
+
+/**
+ * A Vue plugin which provides the shared stores, it is installed into every VueApplication.
+ * @type {{ install: Function }}
+ */
+export const VueStorePlugin = {
+	/**
+	 * Provide the shared stores to a Vue application.
+	 * @param {import('vue').App} app - The Vue application.
+	 */
+	install(app) {
+		app.provide('vueStores', VueStores);
+		app.config.globalProperties.$stores = VueStores;
+	}
+};
+
+registerVuePlugin(VueStorePlugin);
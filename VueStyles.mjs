@@ -0,0 +1,287 @@
+/**
+ * The styles which don't belong to a component, they are added to the document and every subscribed shadow root.
+ * @type {Set<string>}
+ */
+const VueStyles = new Set();
+
+/**
+ * The styles of Single File Components, keyed by the path of the component which loaded them.
+ * @type {Map<string, Set<string>>}
+ */
+const VueComponentStyles = new Map();
+
+/**
+ * The paths of the compiled Single File Components, used to find the styles of a mounted component.
+ * @type {WeakMap<Object, string>}
+ */
+const VueStyleOwners = new WeakMap();
+
+/**
+ * The number of mounted components using the styles of each path, for every document or shadow root.
+ * @type {Map<Document|ShadowRoot, Map<string, number>>}
+ */
+const VueStyleReferences = new Map();
+
+/**
+ * The shadow roots which receive every style which doesn't belong to a component.
+ * @type {Set<ShadowRoot>}
+ */
+const VueStyleTargets = new Set();
+
+/**
+ * Constructed style sheets shared between every target, keyed by their CSS text.
+ * @type {Map<string, CSSStyleSheet>}
+ */
+const StyleSheets = new Map();
+
+/**
+ * The style sheet holding Foundry's core styles, created the first time it is adopted.
+ * @type {CSSStyleSheet|null}
+ */
+let CoreStyleSheet = null;
+
+/**
+ * A style which can be adopted: a URL to a stylesheet, raw CSS text or a constructed style sheet.
+ * @typedef {string|CSSStyleSheet} VueStyle
+ */
+
+/**
+ * Check if a string is a URL to a stylesheet instead of raw CSS text.
+ * @param {string} style - The style to check.
+ * @returns {boolean} - True if the style is a URL.
+ */
+function isStyleURL(style) {
+	return !style.includes('{') && /^(https?:|\/|\.{1,2}\/)|\.css(\?.*)?$/i.test(style.trim());
+}
+
+/**
+ * Get a constructed style sheet for raw CSS text, sharing the sheet between every target.
+ * @param {string} css - The CSS text.
+ * @returns {CSSStyleSheet|null} - The style sheet, or null if the CSS can't be used in a constructed style sheet.
+ */
+function getStyleSheet(css) {
+	if (StyleSheets.has(css)) return StyleSheets.get(css);
+	try {
+		const sheet = new CSSStyleSheet();
+		sheet.replaceSync(css);
+		StyleSheets.set(css, sheet);
+		return sheet;
+	}
+	catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Adopt styles into a document or shadow root, skipping styles it already has.
+ * @param {Document|ShadowRoot} target - The document or shadow root to add the styles to.
+ * @param {VueStyle[]} styles - The styles to add.
+ */
+export function adoptStyles(target, styles) {
+	const container = (target instanceof Document) ? target.head : target;
+
+	for (const style of styles) {
+		if (!style) continue;
+
+		// Stylesheet URLs are added as link elements
+		if (typeof style === 'string' && isStyleURL(style)) {
+			if ([...container.querySelectorAll('link[rel="stylesheet"]')].some(link => link.getAttribute('href') === style)) continue;
+			container.appendChild(Object.assign(document.createElement('link'), { rel: 'stylesheet', href: style }));
+			continue;
+		}
+
+		// CSS text and style sheets are adopted, so every target shares the same sheet
+		const sheet = (typeof style === 'string') ? getStyleSheet(style) : style;
+		if (sheet && target.adoptedStyleSheets) {
+			if (!target.adoptedStyleSheets.includes(sheet)) target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+			continue;
+		}
+
+		// -- CSS which can't be constructed, like CSS using @import, is added as a style element
+		const textContent = (typeof style === 'string') ? style : [...style.cssRules].map(rule => rule.cssText).join('\n');
+		if ([...container.querySelectorAll('style')].some(element => element.textContent === textContent)) continue;
+		container.appendChild(Object.assign(document.createElement('style'), { textContent }));
+	}
+}
+
+/**
+ * Resolve the relative `url()` references of CSS text against the URL of its stylesheet.
+ * Rules copied into a constructed style sheet would resolve them against the page otherwise.
+ * @param {string} css - The CSS text.
+ * @param {string} href - The URL of the stylesheet the CSS was read from.
+ * @returns {string} - The CSS text with absolute URLs.
+ */
+function resolveStyleURLs(css, href) {
+	return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+		// Data URIs, fragments and URLs with a scheme don't depend on the stylesheet
+		if (/^([a-z][a-z\d+.-]*:|#)/i.test(url.trim())) return match;
+		return `url("${new URL(url.trim(), href).href}")`;
+	});
+}
+
+/**
+ * Get a style sheet with Foundry's core styles, so elements in a shadow root match the active theme.
+ * CSS variables and fonts are inherited through the shadow root, the core rules are copied into the sheet.
+ * @returns {CSSStyleSheet} - The core style sheet.
+ */
+export function getCoreStyleSheet() {
+	if (CoreStyleSheet) return CoreStyleSheet;
+
+	// Foundry's stylesheets are served from its css route, which includes the route prefix of the server
+	const coreURL = new URL(foundry.utils.getRoute?.('css/') ?? '/css/', window.location.href).href;
+
+	const rules = [':host { font-family: var(--font-primary); color: var(--color-text-primary); }'];
+	for (const sheet of document.styleSheets) {
+		// Only Foundry's own stylesheets are copied, other packages style their own elements
+		const href = sheet.href ? new URL(sheet.href, window.location.href).href : null;
+		if (!href?.startsWith(coreURL)) continue;
+		try {
+			for (const rule of sheet.cssRules) rules.push(resolveStyleURLs(rule.cssText, href));
+		}
+		catch (error) {
+			// Skip stylesheets whose rules can't be read
+		}
+	}
+
+	CoreStyleSheet = new CSSStyleSheet();
+	CoreStyleSheet.replaceSync(rules.join('\n'));
+	return CoreStyleSheet;
+}
+
+/**
+ * Remove styles from a document or shadow root.
+ * @param {Document|ShadowRoot} target - The document or shadow root to remove the styles from.
+ * @param {VueStyle[]} styles - The styles to remove.
+ */
+export function removeStyles(target, styles) {
+	const container = (target instanceof Document) ? target.head : target;
+
+	for (const style of styles) {
+		const sheet = (typeof style === 'string') ? StyleSheets.get(style) : style;
+		if (sheet && target.adoptedStyleSheets) target.adoptedStyleSheets = target.adoptedStyleSheets.filter(adopted => adopted !== sheet);
+
+		// -- Remove the elements of styles which were added as links or style elements
+		for (const element of container.querySelectorAll('link[rel="stylesheet"], style')) {
+			if (element.getAttribute('href') === style || (element.tagName === 'STYLE' && element.textContent === style)) element.remove();
+		}
+	}
+}
+
+/**
+ * Register a style collected from a Single File Component.
+ * Styles of a component are added wherever it is mounted, styles without a component are added to the document and every subscribed shadow root.
+ * @param {string} css - The CSS text of the style.
+ * @param {string} [owner] - The path of the component the style belongs to.
+ */
+export function registerStyle(css, owner) {
+	if (!owner) {
+		if (VueStyles.has(css)) return;
+		VueStyles.add(css);
+		adoptStyles(document, [css]);
+		for (const target of VueStyleTargets) adoptStyles(target, [css]);
+		return;
+	}
+
+	// Styles of the same component are only registered once
+	if (!VueComponentStyles.has(owner)) VueComponentStyles.set(owner, new Set());
+	const styles = VueComponentStyles.get(owner);
+	if (styles.has(css)) return;
+	styles.add(css);
+
+	// Add the style wherever the component is already mounted
+	for (const [target, references] of VueStyleReferences) {
+		if (references.has(owner)) adoptStyles(target, [css]);
+	}
+}
+
+/**
+ * Get every registered style, with or without a component, or the styles of one component.
+ * @param {string} [owner] - The path of the component whose styles to get.
+ * @returns {string[]} - The CSS text of the registered styles.
+ */
+export function getRegisteredStyles(owner) {
+	if (owner) return [...(VueComponentStyles.get(owner) ?? [])];
+	return [...new Set([...VueStyles, ...[...VueComponentStyles.values()].flatMap(styles => [...styles])])];
+}
+
+/**
+ * Unregister a style which was replaced, removing it from every document and shadow root it was added to.
+ * Used when a Single File Component is reloaded, the replacing styles are registered again with `registerStyle`.
+ * @param {string} css - The CSS text of the style.
+ */
+export function unregisterStyle(css) {
+	VueStyles.delete(css);
+	for (const styles of VueComponentStyles.values()) styles.delete(css);
+
+	for (const target of new Set([document, ...VueStyleTargets, ...VueStyleReferences.keys()])) removeStyles(target, [css]);
+	StyleSheets.delete(css);
+}
+
+/**
+ * Set the path of a compiled Single File Component, so its styles are added when it is mounted.
+ * @param {Object} component - The compiled component.
+ * @param {string} owner - The path of the component.
+ */
+export function setStyleOwner(component, owner) {
+	if (component && typeof component === 'object') VueStyleOwners.set(component, owner);
+}
+
+/**
+ * Get the path of a compiled Single File Component, which its styles are keyed by.
+ * @param {Object} component - The compiled component.
+ * @returns {string|undefined} - The path of the component, if it was loaded through `vueGetTemplate`.
+ */
+export function getStyleOwner(component) {
+	return VueStyleOwners.get(component);
+}
+
+/**
+ * Add the styles of a mounted component to a document or shadow root.
+ * Every call must be matched by a call to `releaseStyles` when the component is unmounted.
+ * @param {Document|ShadowRoot} target - The document or shadow root the component is mounted in.
+ * @param {Object} component - The mounted component.
+ */
+export function acquireStyles(target, component) {
+	const owner = VueStyleOwners.get(component);
+	if (!owner || !target) return;
+
+	if (!VueStyleReferences.has(target)) VueStyleReferences.set(target, new Map());
+	const references = VueStyleReferences.get(target);
+	references.set(owner, (references.get(owner) ?? 0) + 1);
+
+	adoptStyles(target, [...(VueComponentStyles.get(owner) ?? [])]);
+}
+
+/**
+ * Remove the styles of an unmounted component once no other mounted component uses them.
+ * @param {Document|ShadowRoot} target - The document or shadow root the component was mounted in.
+ * @param {Object} component - The unmounted component.
+ */
+export function releaseStyles(target, component) {
+	const owner = VueStyleOwners.get(component);
+	const references = VueStyleReferences.get(target);
+	if (!owner || !references?.has(owner)) return;
+
+	const count = references.get(owner) - 1;
+	if (count > 0) return references.set(owner, count);
+	references.delete(owner);
+	if (!references.size) VueStyleReferences.delete(target);
+
+	// Keep the styles which other mounted components, or no component at all, still use
+	const used = new Set([...VueStyles, ...[...references.keys()].flatMap(other => [...(VueComponentStyles.get(other) ?? [])])]);
+	removeStyles(target, [...(VueComponentStyles.get(owner) ?? [])].filter(css => !used.has(css)));
+}
+
+/**
+ * Add every style which doesn't belong to a component to a shadow root, including styles registered later.
+ * @param {ShadowRoot} target - The shadow root.
+ * @returns {Function} - A function which stops adding styles to the shadow root.
+ */
+export function subscribeStyles(target) {
+	VueStyleTargets.add(target);
+	adoptStyles(target, [...VueStyles]);
+	return () => {
+		VueStyleTargets.delete(target);
+		VueStyleReferences.delete(target);
+	};
+}
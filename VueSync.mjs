@@ -0,0 +1,228 @@
+import { effectScope, watch } from 'vue';
+import { pickPaths, whenReady } from './VuePersistence.mjs';
+
+/**
+ * The action of every socket message sent by the sync layer.
+ * @type {string}
+ */
+const VueSyncAction = 'vueStoreSync';
+
+/**
+ * A socket which sends messages to the other clients, like `game.socket`.
+ *
+ * @typedef {Object} VueSyncSocket
+ * @property {Function} emit - Sends `(channel, message)` to every other client.
+ * @property {Function} on - Calls `(channel, callback)` with the messages of other clients, the callback receives `(message, senderId)`.
+ * @property {Function} off - Stops calling `(channel, callback)`.
+ */
+
+/**
+ * Get the changed and deleted paths between two flattened states.
+ * @param {Object} previous - The previous flattened state.
+ * @param {Object} current - The current flattened state.
+ * @returns {{ changes: Object<string, *>, deleted: string[] }} - The changed values and the deleted paths.
+ */
+function diffState(previous, current) {
+	const changes = {};
+	for (const [path, value] of Object.entries(current)) {
+		if (JSON.stringify(previous[path]) !== JSON.stringify(value)) changes[path] = value;
+	}
+	const deleted = Object.keys(previous).filter(path => !(path in current));
+	return { changes, deleted };
+}
+
+/**
+ * Apply changed and deleted paths to a store.
+ * @param {Object} store - The reactive store.
+ * @param {Object<string, *>} changes - The changed values, keyed by path.
+ * @param {string[]} deleted - The deleted paths.
+ */
+function applyState(store, changes = {}, deleted = []) {
+	for (const [path, value] of Object.entries(changes)) foundry.utils.setProperty(store, path, foundry.utils.deepClone(value));
+	for (const path of deleted) {
+		const parts = path.split('.');
+		const key = parts.pop();
+		const parent = parts.length ? foundry.utils.getProperty(store, parts.join('.')) : store;
+		if (parent && typeof parent === 'object') delete parent[key];
+	}
+}
+
+/**
+ * Check if a path is one of the listed paths, or inside one of them.
+ * @param {string} path - The path to check.
+ * @param {string[]} paths - The listed paths.
+ * @returns {boolean} - True if the path matches.
+ */
+function matchesPath(path, paths) {
+	return paths.some(listed => path === listed || path.startsWith(`${listed}.`));
+}
+
+/**
+ * Sync a reactive store with the other connected clients over a socket.
+ * The active GM is the authority: other clients send their changes to the GM, which checks their permission, applies them and sends the result to everyone.
+ * -- The sender of a message is the user id Foundry delivers with it, messages don't name their sender themselves
+ * -- Changes are applied locally right away, a rejected change is reverted by the state the GM sends back
+ * -- Without an active GM, changes stay local until a GM connects and sends its state
+ *
+ * @param {Object} store - The reactive store.
+ * @param {Object} config - The sync config.
+ * @param {string} config.name - The name of the store, the same on every client.
+ * @param {string} config.channel - The socket channel, for example `module.my-module`. The module needs `"socket": true` in its manifest.
+ * @param {string[]} [config.paths] - The paths of the store to sync, the whole store is synced when no paths are given.
+ * @param {string[]} [config.writable] - The paths players may change, every synced path when not given. The GM may change every path.
+ * @param {Function} [config.canWrite] - Checks `(user, path, value)` if a user may change a path, replaces `writable`.
+ * @param {VueSyncSocket} [config.socket=game.socket] - The socket, a stand-in from `createLocalSocket` can be used in tests.
+ * @param {Function} [config.getUser] - Returns the current user, defaults to `game.user`.
+ * @param {Function} [config.getAuthority] - Returns the user whose state is authoritative, defaults to `game.users.activeGM`.
+ * @param {Function} [config.findUser] - Returns a user by id, defaults to `game.users.get`.
+ * @returns {Function} - A function which stops syncing the store.
+ */
+export function syncStore(store, {
+	name,
+	channel,
+	paths,
+	writable,
+	canWrite = (user, path) => user?.isGM || !writable || matchesPath(path, writable),
+	socket = globalThis.game?.socket,
+	getUser = () => game.user,
+	getAuthority = () => game.users.activeGM,
+	findUser = (id) => game.users.get(id)
+} = {}) {
+	if (!name || !channel || !socket) throw new Error('VueSync | A name, a channel and a socket are required to sync a store');
+
+	const scope = effectScope(true);
+	const isAuthority = () => !!getUser() && getAuthority()?.id === getUser().id;
+	const send = (type, data = {}) => socket.emit(channel, { action: VueSyncAction, store: name, type, ...data });
+	const isSynced = (path) => !paths || matchesPath(path, paths);
+	const flatten = () => foundry.utils.flattenObject(pickPaths(store, paths));
+
+	// The last known synced state, changes are detected against it
+	let snapshot = flatten();
+
+	// Apply a state, updating the snapshot first so it isn't sent back
+	const apply = (changes, deleted) => {
+		applyState(store, changes, deleted);
+		snapshot = flatten();
+	};
+
+	/**
+	 * Handle the messages of other clients.
+	 * @param {Object} message - The socket message.
+	 * @param {string} [senderId] - The id of the user who sent the message, delivered by the socket.
+	 */
+	const onMessage = (message, senderId) => {
+		if (message?.action !== VueSyncAction || message.store !== name) return;
+
+		switch (message.type) {
+			// The GM checks the changes of other clients, applying what is allowed and reverting the rest
+			// -- Changes of unknown users, and of paths which aren't synced, are ignored
+			case 'request': {
+				if (!isAuthority()) return;
+				const sender = senderId ? findUser(senderId) : null;
+				if (!sender) return;
+				const accepted = {};
+				const rejected = [];
+				for (const [path, value] of Object.entries(message.changes ?? {})) {
+					if (!isSynced(path)) continue;
+					if (canWrite(sender, path, value)) accepted[path] = value;
+					else rejected.push(path);
+				}
+				const deleted = [];
+				for (const path of message.deleted ?? []) {
+					if (!isSynced(path)) continue;
+					if (canWrite(sender, path, undefined)) deleted.push(path);
+					else rejected.push(path);
+				}
+
+				// The accepted changes are sent to every client by the watcher, like changes of the GM
+				applyState(store, accepted, deleted);
+				if (rejected.length) {
+					const current = flatten();
+					const revert = Object.fromEntries(rejected.filter(path => path in current).map(path => [path, current[path]]));
+					send('state', { changes: revert, deleted: rejected.filter(path => !(path in current)) });
+				}
+				return;
+			}
+			// Only the state of the GM is applied
+			case 'state': {
+				const authority = getAuthority();
+				if (!authority || senderId !== authority.id) return;
+				const deleted = message.full ? Object.keys(snapshot).filter(path => !(path in message.changes)) : message.deleted;
+				apply(message.changes, deleted);
+				return;
+			}
+			// A client which just connected asks the GM for the whole state
+			case 'sync': {
+				if (isAuthority()) send('state', { changes: flatten(), full: true });
+				return;
+			}
+		}
+	};
+
+	whenReady(() => {
+		socket.on(channel, onMessage);
+
+		// Send local changes, the GM sends them to everyone and other clients ask the GM to apply them
+		scope.run(() => watch(flatten, (current) => {
+			const { changes, deleted } = diffState(snapshot, current);
+			snapshot = current;
+			if (foundry.utils.isEmpty(changes) && !deleted.length) return;
+			send(isAuthority() ? 'state' : 'request', { changes, deleted });
+		}, { deep: true }));
+
+		// The GM shares its state when it connects, other clients ask for it
+		if (isAuthority()) send('state', { changes: flatten(), full: true });
+		else send('sync');
+	});
+
+	return () => {
+		socket.off(channel, onMessage);
+		scope.stop();
+	};
+}
+
+/**
+ * Create a stand-in for `game.socket` which connects clients in the same page, for testing synced stores.
+ * Like Foundry's socket, a message is delivered to every other connected client but not to its sender, along with the id of the sending user.
+ *
+ * @example
+ * const hub = createLocalSocket();
+ * syncStore(gmStore, { name: 'loot', channel: 'module.my-module', socket: hub.connect(gm.id), getUser: () => gm, ... });
+ * syncStore(playerStore, { name: 'loot', channel: 'module.my-module', socket: hub.connect(player.id), getUser: () => player, ... });
+ *
+ * @returns {{ connect: Function }} - `connect(userId)` returns the socket of a new client, connected as the user.
+ */
+export function createLocalSocket() {
+	const clients = new Set();
+
+	return {
+		connect(userId) {
+			const listeners = new Map();
+			const client = {
+				emit(channel, message) {
+					// Deliver asynchronously and as a copy, like a message sent over the network
+					// -- The sender is the user the client connected as, like the user of a Foundry socket
+					const data = JSON.parse(JSON.stringify(message));
+					for (const other of clients) {
+						if (other !== client) queueMicrotask(() => other.receive(channel, data, userId));
+					}
+				},
+				on(channel, callback) {
+					if (!listeners.has(channel)) listeners.set(channel, new Set());
+					listeners.get(channel).add(callback);
+				},
+				off(channel, callback) {
+					listeners.get(channel)?.delete(callback);
+				},
+				receive(channel, message, senderId) {
+					for (const callback of listeners.get(channel) ?? []) callback(message, senderId);
+				},
+				disconnect() {
+					clients.delete(client);
+				}
+			};
+			clients.add(client);
+			return client;
+		}
+	};
+}
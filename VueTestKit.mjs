@@ -0,0 +1,875 @@
+/**
+ * What the Foundry stand-ins recorded, returned by `installFoundryStubs` so tests can assert on it.
+ *
+ * @typedef {Object} VueTestKit
+ * @property {Array<{ type: string, message: string }>} notifications - The notifications shown through `ui.notifications`.
+ * @property {Array<{ name: string, args: Array }>} hooks - The hooks called through `Hooks.call` and `Hooks.callAll`.
+ * @property {Map<string, Object>} documents - The documents created with `createTestDocument`, keyed by uuid, `fromUuid` resolves them.
+ */
+
+/**
+ * The browser globals copied from the DOM window, Vue and the mixins use them directly.
+ * -- Node has its own Event and AbortController, but DOM elements only accept the window's
+ * @type {string[]}
+ */
+const WindowGlobals = [
+	'window', 'document', 'navigator', 'Node', 'Element', 'HTMLElement', 'SVGElement', 'Text', 'Comment', 'DocumentFragment', 'Document', 'ShadowRoot',
+	'HTMLInputElement', 'HTMLFormElement', 'HTMLSelectElement', 'HTMLTextAreaElement', 'MutationObserver', 'CSSStyleSheet', 'CSS',
+	'Event', 'CustomEvent', 'UIEvent', 'MouseEvent', 'PointerEvent', 'KeyboardEvent', 'FocusEvent', 'InputEvent', 'SubmitEvent', 'DragEvent', 'DataTransfer',
+	'AbortController', 'AbortSignal', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+/**
+ * Check if a value is a plain object, which the object helpers merge and clone into.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - Whether the value is a plain object.
+ */
+function isPlainObject(value) {
+	if (!value || typeof value !== 'object') return false;
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === null || prototype === Object.prototype || Object.prototype.toString.call(value) === '[object Object]' && prototype?.constructor?.name === 'Object';
+}
+
+/**
+ * Stand-ins for the `foundry.utils` functions the mixins use, with the same options as Foundry's.
+ * @type {Object<string, Function>}
+ */
+const utils = {
+	deepClone(value) {
+		if (Array.isArray(value)) return value.map(utils.deepClone);
+		if (value instanceof Date) return new Date(value);
+		if (!isPlainObject(value)) return value;
+		return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, utils.deepClone(inner)]));
+	},
+	getProperty(object, key) {
+		return key.split('.').reduce((target, part) => target?.[part], object);
+	},
+	setProperty(object, key, value) {
+		const parts = key.split('.');
+		const last = parts.pop();
+		let target = object;
+		for (const part of parts) {
+			if (!(part in target) || typeof target[part] !== 'object') target[part] = {};
+			target = target[part];
+		}
+		const changed = target[last] !== value;
+		target[last] = value;
+		return changed;
+	},
+	hasProperty(object, key) {
+		const parts = key.split('.');
+		const last = parts.pop();
+		const target = parts.length ? utils.getProperty(object, parts.join('.')) : object;
+		return !!target && typeof target === 'object' && last in target;
+	},
+	expandObject(object) {
+		const expanded = {};
+		for (const [key, value] of Object.entries(object)) utils.setProperty(expanded, key, isPlainObject(value) ? utils.expandObject(value) : value);
+		return expanded;
+	},
+	flattenObject(object) {
+		const flat = {};
+		for (const [key, value] of Object.entries(object ?? {})) {
+			if (isPlainObject(value) && Object.keys(value).length) {
+				for (const [innerKey, inner] of Object.entries(utils.flattenObject(value))) flat[`${key}.${innerKey}`] = inner;
+			}
+			else flat[key] = value;
+		}
+		return flat;
+	},
+	mergeObject(original, other = {}, { insertKeys = true, insertValues = true, overwrite = true, recursive = true, inplace = true, performDeletions = false } = {}, _depth = 0) {
+		other ??= {};
+		if (_depth === 0) {
+			if (Object.keys(other).some(key => key.includes('.'))) other = utils.expandObject(other);
+			if (!inplace) original = utils.deepClone(original);
+		}
+
+		for (const [key, value] of Object.entries(other)) {
+			if (key.startsWith('-=') && performDeletions) {
+				delete original[key.slice(2)];
+				continue;
+			}
+			if (key in original) {
+				if (recursive && isPlainObject(value) && isPlainObject(original[key])) {
+					utils.mergeObject(original[key], value, { insertKeys, insertValues, overwrite, recursive, inplace: true, performDeletions }, _depth + 1);
+				}
+				else if (overwrite) original[key] = value;
+			}
+			else if ((_depth === 0) ? insertKeys : insertValues) original[key] = isPlainObject(value) ? utils.deepClone(value) : value;
+		}
+		return original;
+	},
+	diffObject(original, other) {
+		const diff = {};
+		for (const [key, value] of Object.entries(other)) {
+			if (isPlainObject(value) && isPlainObject(original?.[key])) {
+				const inner = utils.diffObject(original[key], value);
+				if (Object.keys(inner).length) diff[key] = inner;
+			}
+			else if (JSON.stringify(original?.[key]) !== JSON.stringify(value)) diff[key] = value;
+		}
+		return diff;
+	},
+	isEmpty(value) {
+		if (value === undefined || value === null) return true;
+		if (Array.isArray(value) || typeof value === 'string') return !value.length;
+		if (value instanceof Map || value instanceof Set) return !value.size;
+		return (typeof value === 'object') ? !Object.keys(value).length : false;
+	},
+	getType(value) {
+		if (value === null) return 'null';
+		if (Array.isArray(value)) return 'Array';
+		if (isPlainObject(value)) return 'Object';
+		return (typeof value === 'object') ? value.constructor?.name ?? 'Object' : typeof value;
+	},
+	debounce(callback, delay) {
+		let timeout;
+		return function(...args) {
+			clearTimeout(timeout);
+			timeout = setTimeout(() => callback.apply(this, args), delay);
+		};
+	},
+	randomID(length = 16) {
+		const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+		return Array.from({ length }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+	},
+	parseUuid(uuid) {
+		const parts = uuid?.split('.') ?? [];
+		return { uuid, documentType: parts.at(-2), documentId: parts.at(-1) };
+	}
+};
+
+/**
+ * A minimal stand-in for ApplicationV2, rendering into the test document with the same render, position and close lifecycle.
+ * -- The window frame has a `.window-header` with a `.window-title` and a `.window-content` the parts are rendered into
+ * -- Clicks on `data-action` elements call `options.actions` like ApplicationV2
+ * -- Applications with `tag: 'form'` submit through `options.form`, with a `FormDataExtended` of the form
+ */
+class ApplicationV2 {
+	static DEFAULT_OPTIONS = {
+		id: 'app-{id}',
+		classes: [],
+		tag: 'div',
+		window: { frame: true, positioned: true, title: '' },
+		actions: {},
+		form: undefined,
+		position: {}
+	};
+
+	static RENDER_STATES = { ERROR: -3, CLOSING: -2, CLOSED: -1, NONE: 0, RENDERING: 1, RENDERED: 2 };
+
+	/**
+	 * The number of applications created, used in their default id.
+	 * @type {number}
+	 */
+	static #count = 0;
+
+	/**
+	 * Iterate over the classes of the application, from the class itself up to ApplicationV2.
+	 * @yields {Function}
+	 */
+	static *inheritanceChain() {
+		let cls = this;
+		while (cls && cls !== Object && cls.name) {
+			yield cls;
+			if (cls === ApplicationV2) return;
+			cls = Object.getPrototypeOf(cls);
+		}
+	}
+
+	tabGroups = {};
+
+	#state = ApplicationV2.RENDER_STATES.NONE;
+	#element = null;
+	#content = null;
+	#window = {};
+	#position = {};
+
+	constructor(options = {}) {
+		// Merge the default options of every class, so actions are inherited and classes are combined like in ApplicationV2
+		const defaults = {};
+		const classes = new Set();
+		for (const cls of [...this.constructor.inheritanceChain()].reverse()) {
+			if (!Object.hasOwn(cls, 'DEFAULT_OPTIONS')) continue;
+			utils.mergeObject(defaults, cls.DEFAULT_OPTIONS);
+			for (const name of cls.DEFAULT_OPTIONS.classes ?? []) classes.add(name);
+		}
+		this.options = utils.mergeObject(defaults, options, { inplace: false });
+		this.options.classes = [...classes, ...(options.classes ?? [])];
+		this.options.id = this.options.id.replace('{id}', ++ApplicationV2.#count);
+		this.#position = { ...this.options.position };
+	}
+
+	get id() {
+		return this.options.id;
+	}
+
+	get element() {
+		return this.#element;
+	}
+
+	get window() {
+		return this.#window;
+	}
+
+	get title() {
+		return this.options.window?.title ?? '';
+	}
+
+	get state() {
+		return this.#state;
+	}
+
+	get rendered() {
+		return this.#state === ApplicationV2.RENDER_STATES.RENDERED;
+	}
+
+	get minimized() {
+		return false;
+	}
+
+	get position() {
+		return this.#position;
+	}
+
+	/**
+	 * Render the application, the first render must be forced.
+	 * @param {Object|boolean} [options] - The render options, or `force`.
+	 * @param {Object} [_options] - The render options when the first argument is `force`.
+	 * @returns {Promise<ApplicationV2>}
+	 */
+	async render(options = {}, _options = {}) {
+		if (typeof options === 'boolean') options = { ..._options, force: options };
+		const { NONE, RENDERED } = ApplicationV2.RENDER_STATES;
+		if ((this.#state <= NONE) && !options.force) return this;
+
+		options.isFirstRender = this.#state <= NONE;
+		this._configureRenderOptions(options);
+		const context = await this._prepareContext(options);
+		if (options.isFirstRender) await this._preFirstRender(context, options);
+		await this._preRender(context, options);
+		const result = await this._renderHTML(context, options);
+
+		if (options.isFirstRender) {
+			this.#element = this._renderFrame(options);
+			this.#content = this.#element.querySelector('.window-content');
+			document.body.append(this.#element);
+			foundry.applications.instances.set(this.id, this);
+			this.#element.addEventListener('click', this.#onClick.bind(this));
+			this.#element.addEventListener('contextmenu', this.#onClick.bind(this));
+			if (this.options.tag === 'form') {
+				this.#element.addEventListener('submit', this._onSubmitForm.bind(this, this.options.form ?? {}));
+				this.#element.addEventListener('change', this._onChangeForm.bind(this, this.options.form ?? {}));
+			}
+		}
+
+		this._replaceHTML(result, this.#content, options);
+		this.#state = RENDERED;
+		if (options.isFirstRender) await this._onFirstRender(context, options);
+		await this._onRender(context, options);
+		// -- Like Foundry, the hooks of the class itself are called first
+		for (const cls of this.constructor.inheritanceChain()) Hooks.callAll(`render${cls.name}`, this, this.#element, context, options);
+		this.setPosition(options.position);
+		return this;
+	}
+
+	_configureRenderOptions(options) {
+		if (options.isFirstRender) options.position = Object.assign(this.#position, options.position);
+	}
+
+	async _prepareContext(options) {
+		return {};
+	}
+
+	async _preFirstRender(context, options) {}
+
+	async _preRender(context, options) {}
+
+	async _renderHTML(context, options) {}
+
+	_replaceHTML(result, content, options) {}
+
+	async _onFirstRender(context, options) {}
+
+	async _onRender(context, options) {}
+
+	/**
+	 * Render the window frame of the application.
+	 * @param {Object} options - The render options.
+	 * @returns {HTMLElement} - The application element.
+	 */
+	_renderFrame(options) {
+		const element = document.createElement(this.options.tag ?? 'div');
+		element.id = this.id;
+		element.classList.add('application', ...(this.options.classes ?? []));
+
+		const header = document.createElement('header');
+		header.classList.add('window-header');
+		const title = document.createElement('h1');
+		title.classList.add('window-title');
+		title.textContent = this.title;
+		header.append(title);
+
+		const content = document.createElement('section');
+		content.classList.add('window-content');
+		element.append(header, content);
+
+		this.#window = { header, title, content };
+		return element;
+	}
+
+	/**
+	 * Update the position of the application.
+	 * @param {Object} [position] - The changed position.
+	 * @returns {Object} - The position.
+	 */
+	setPosition(position = {}) {
+		position = Object.assign(this.#position, position);
+		this._prePosition(position);
+		for (const key of ['left', 'top', 'width', 'height']) {
+			if (typeof position[key] === 'number' && this.#element) this.#element.style[key] = `${position[key]}px`;
+		}
+		this._onPosition(position);
+		return position;
+	}
+
+	_prePosition(position) {}
+
+	_onPosition(position) {}
+
+	changeTab(tab, group, options = {}) {
+		this.tabGroups[group] = tab;
+	}
+
+	/**
+	 * Close the application and remove its element.
+	 * @param {Object} [options] - The close options.
+	 * @returns {Promise<ApplicationV2>}
+	 */
+	async close(options = {}) {
+		const { NONE, CLOSING, CLOSED } = ApplicationV2.RENDER_STATES;
+		if (this.#state <= NONE) return this;
+
+		this.#state = CLOSING;
+		await this._preClose(options);
+		for (const cls of this.constructor.inheritanceChain()) Hooks.callAll(`close${cls.name}`, this, this.#element);
+		this.#element?.remove();
+		this.#element = null;
+		this.#content = null;
+		foundry.applications.instances.delete(this.id);
+		this.#state = CLOSED;
+		this._onClose(options);
+		return this;
+	}
+
+	async _preClose(options) {}
+
+	_onClose(options) {}
+
+	_onClickAction(event, target) {}
+
+	/**
+	 * Submit the application's form through the form handler, like ApplicationV2.
+	 * @param {Object} formConfig - The form config of the application.
+	 * @param {Event} event - The submit event.
+	 * @returns {Promise<void>}
+	 */
+	async _onSubmitForm(formConfig, event) {
+		event.preventDefault();
+		const form = event.currentTarget;
+		const { handler, closeOnSubmit } = formConfig;
+		if (handler instanceof Function) {
+			try {
+				await handler.call(this, event, form, new FormDataExtended(form));
+			}
+			catch (error) {
+				ui.notifications.error(error.message);
+				return;
+			}
+		}
+		if (closeOnSubmit) await this.close();
+	}
+
+	/**
+	 * Submit the application's form when a field changes, if the form submits on change.
+	 * @param {Object} formConfig - The form config of the application.
+	 * @param {Event} event - The change event.
+	 */
+	_onChangeForm(formConfig, event) {
+		if (formConfig.submitOnChange) this._onSubmitForm(formConfig, event);
+	}
+
+	/**
+	 * Call the action of a clicked data-action element.
+	 * @param {PointerEvent} event - The click event.
+	 */
+	#onClick(event) {
+		const target = event.target.closest?.('[data-action]');
+		if (!target) return;
+		const action = target.dataset.action;
+
+		switch (action) {
+			case 'close':
+				event.stopPropagation();
+				if (event.button === 0) this.close();
+				return;
+			case 'tab':
+				if (event.button === 0) this.changeTab(target.dataset.tab, target.dataset.group, { event });
+				return;
+		}
+
+		let handler = this.options.actions?.[action];
+		if (!handler) return this._onClickAction(event, target);
+		let buttons = [0];
+		if (typeof handler === 'object') ({ handler, buttons = [0] } = handler);
+		if (buttons.includes(event.button)) handler.call(this, event, target);
+	}
+}
+
+/**
+ * A minimal stand-in for DocumentSheetV2, for sheets built with `VueDocumentSheetMixin`.
+ * -- The form handler updates the document with the submitted data
+ */
+class DocumentSheetV2 extends ApplicationV2 {
+	static DEFAULT_OPTIONS = {
+		id: '{id}',
+		classes: ['sheet'],
+		tag: 'form',
+		document: null,
+		form: {
+			handler: DocumentSheetV2.#onSubmitDocumentForm,
+			submitOnChange: false,
+			closeOnSubmit: false
+		}
+	};
+
+	#document;
+
+	constructor(options = {}) {
+		const { document, ...rest } = options;
+		super({ id: `${new.target.name}-${document?.uuid?.replaceAll('.', '-')}`, ...rest });
+		this.#document = document;
+	}
+
+	get document() {
+		return this.#document;
+	}
+
+	get title() {
+		const { documentName, id, name } = this.#document ?? {};
+		return `${game.i18n.localize(documentName ?? '')}: ${name ?? id}`;
+	}
+
+	get isEditable() {
+		return this.#document?.isOwner ?? true;
+	}
+
+	get isVisible() {
+		return this.#document?.testUserPermission?.(game.user, 'LIMITED') ?? true;
+	}
+
+	async _prepareContext(options) {
+		return { document: this.#document, source: this.#document?.toObject(), editable: this.isEditable, user: game.user, rootId: this.id };
+	}
+
+	/**
+	 * Update the document with the submitted form data.
+	 * @param {Event} event - The submit event.
+	 * @param {HTMLFormElement} form - The form.
+	 * @param {{ object: Object }} formData - The submitted data.
+	 * @returns {Promise<void>}
+	 */
+	static async #onSubmitDocumentForm(event, form, formData) {
+		await this.document.update(utils.expandObject(formData.object));
+	}
+}
+
+/**
+ * A stand-in for FormDataExtended, reading the named fields of a form into `object`.
+ */
+class FormDataExtended {
+	constructor(form) {
+		this.object = {};
+		for (const field of form.elements ?? []) {
+			if (!field.name || field.disabled) continue;
+			if (field.type === 'checkbox') this.object[field.name] = field.checked;
+			else if (field.type === 'radio') {
+				if (field.checked) this.object[field.name] = field.value;
+			}
+			else if (field.type === 'number' || field.type === 'range') this.object[field.name] = (field.value === '') ? null : Number(field.value);
+			else if (field.multiple) this.object[field.name] = [...field.selectedOptions].map(option => option.value);
+			else this.object[field.name] = field.value;
+		}
+	}
+}
+
+/**
+ * A stand-in for the documents of a world, with the parts of the Document API the mixins use.
+ * -- `update` and `delete` call the `update{DocumentName}` and `delete{DocumentName}` hooks, like a change from the server
+ */
+class TestDocument {
+	constructor({ documentName = 'Actor', _id = utils.randomID(), isOwner = true, ...data } = {}) {
+		this.documentName = documentName;
+		this._id = _id;
+		this.isOwner = isOwner;
+		this._source = utils.mergeObject({ _id, name: '', system: {}, flags: {} }, data, { inplace: false });
+		Object.assign(this, utils.deepClone(this._source));
+	}
+
+	get id() {
+		return this._id;
+	}
+
+	get uuid() {
+		return `${this.documentName}.${this._id}`;
+	}
+
+	toObject() {
+		return utils.deepClone(this._source);
+	}
+
+	toDragData() {
+		return { type: this.documentName, uuid: this.uuid };
+	}
+
+	testUserPermission(user, permission) {
+		return this.isOwner || permission !== 'OWNER';
+	}
+
+	validate() {
+		return true;
+	}
+
+	getFlag(scope, key) {
+		return utils.getProperty(this.flags, `${scope}.${key}`);
+	}
+
+	async setFlag(scope, key, value) {
+		return this.update({ [`flags.${scope}.${key}`]: value });
+	}
+
+	async unsetFlag(scope, key) {
+		return this.update({ [`flags.${scope}.-=${key}`]: null });
+	}
+
+	async update(changes = {}, options = {}) {
+		const changed = utils.expandObject(changes);
+		utils.mergeObject(this._source, changed, { performDeletions: true });
+		Object.assign(this, utils.deepClone(this._source));
+		Hooks.callAll(`update${this.documentName}`, this, changed, options, game.user?.id);
+		return this;
+	}
+
+	async delete(options = {}) {
+		TestDocuments?.delete(this.uuid);
+		Hooks.callAll(`delete${this.documentName}`, this, options, game.user?.id);
+		return this;
+	}
+}
+
+/**
+ * A stand-in for `game.users`.
+ */
+class TestUsers extends Map {
+	get activeGM() {
+		return [...this.values()].find(user => user.isGM) ?? null;
+	}
+}
+
+/**
+ * The documents of the installed test kit, keyed by uuid.
+ * @type {Map<string, TestDocument>|null}
+ */
+let TestDocuments = null;
+
+/**
+ * Install stand-ins for the Foundry globals the Vue mixins use, so applications can be rendered under Node with jsdom.
+ * Call it again before every test for a fresh state.
+ * Vue and the modules using it must be imported afterwards: Vue reads the document when it is first imported, and `VueDialog.mjs` extends ApplicationV2 when it is evaluated.
+ * -- `foundry.utils`, `foundry.applications.api.ApplicationV2` and `DocumentSheetV2`, `Hooks`, `ui.notifications`, `FormDataExtended`, `Handlebars.helpers`
+ * -- `game.i18n`, `game.user`, `game.users`, `game.settings` kept in memory, and `fromUuid` for documents created with `createTestDocument`
+ *
+ * @example
+ * import { JSDOM } from 'jsdom';
+ * const kit = installFoundryStubs({ window: new JSDOM('<!doctype html><html><body></body></html>').window });
+ * const { VueApplicationMixin } = await import('./VueApplicationMixin.mjs');
+ *
+ * @param {Object} [options] - The stub options.
+ * @param {Window} [options.window=globalThis.window] - The DOM window applications are rendered in.
+ * @param {Object} [options.user] - The data of the current user, `{ id: 'user', name: 'Gamemaster', isGM: true }` by default.
+ * @param {Object} [options.translations] - The translations of `game.i18n`.
+ * @returns {VueTestKit} - What the stand-ins record.
+ */
+export function installFoundryStubs({ window = globalThis.window, user = {}, translations = {} } = {}) {
+	if (!window?.document) throw new Error('VueTestKit | A DOM window is required, for example `new JSDOM().window`');
+	// -- Some of them are read-only getters in Node, so they are redefined instead of assigned
+	for (const key of WindowGlobals) {
+		const value = (key === 'window') ? window : window[key];
+		if (value === undefined) continue;
+		Object.defineProperty(globalThis, key, { value: (value instanceof Function && !/^[A-Z]/.test(key)) ? value.bind(window) : value, configurable: true, writable: true });
+	}
+	globalThis.CSS ??= { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+
+	const kit = { notifications: [], hooks: [], documents: new Map() };
+	TestDocuments = kit.documents;
+
+	// Hooks record every call, so tests can assert which hooks were called
+	const listeners = new Map();
+	let hookId = 0;
+	globalThis.Hooks = {
+		on(name, callback, { once = false } = {}) {
+			if (!listeners.has(name)) listeners.set(name, []);
+			listeners.get(name).push({ id: ++hookId, callback, once });
+			return hookId;
+		},
+		once(name, callback) {
+			return this.on(name, callback, { once: true });
+		},
+		off(name, id) {
+			listeners.set(name, (listeners.get(name) ?? []).filter(listener => listener.id !== id && listener.callback !== id));
+		},
+		callAll(name, ...args) {
+			kit.hooks.push({ name, args });
+			for (const listener of [...(listeners.get(name) ?? [])]) {
+				if (listener.once) this.off(name, listener.id);
+				listener.callback(...args);
+			}
+			return true;
+		},
+		call(name, ...args) {
+			kit.hooks.push({ name, args });
+			for (const listener of [...(listeners.get(name) ?? [])]) {
+				if (listener.once) this.off(name, listener.id);
+				if (listener.callback(...args) === false) return false;
+			}
+			return true;
+		}
+	};
+
+	const notify = (type) => (message) => {
+		kit.notifications.push({ type, message });
+		return { type, message };
+	};
+	globalThis.ui = { notifications: { info: notify('info'), warn: notify('warn'), error: notify('error') }, context: null };
+
+	globalThis.foundry = {
+		utils,
+		abstract: { DataModel: class DataModel {} },
+		data: {
+			validation: {
+				DataModelValidationError: class DataModelValidationError extends Error {
+					getAllFailures() {
+						return {};
+					}
+				}
+			}
+		},
+		applications: { api: { ApplicationV2, DocumentSheetV2 }, instances: new Map() }
+	};
+
+	globalThis.FormDataExtended = FormDataExtended;
+	class SafeString {
+		constructor(value) {
+			this.string = String(value);
+		}
+		toString() {
+			return this.string;
+		}
+		toHTML() {
+			return this.string;
+		}
+	}
+	const helper = () => new SafeString('');
+	globalThis.Handlebars = {
+		SafeString,
+		helpers: {
+			checked: (value) => value ? 'checked' : '',
+			disabled: (value) => value ? 'disabled' : '',
+			numberFormat: (value, { hash = {} } = {}) => new SafeString(Number(value).toFixed(hash.decimals ?? 0)),
+			timeSince: (timeStamp) => String(timeStamp),
+			editor: helper,
+			numberInput: helper,
+			radioBoxes: helper,
+			rangePicker: helper,
+			selectOptions: helper,
+			formInput: helper,
+			formGroup: helper,
+			formField: helper
+		}
+	};
+
+	// Settings and flags are kept in memory
+	const settings = new Map();
+	const currentUser = new TestDocument({ documentName: 'User', _id: 'user', name: 'Gamemaster', isGM: true, ...user });
+	currentUser.isSelf = true;
+	globalThis.game = {
+		ready: true,
+		i18n: {
+			lang: 'en',
+			translations,
+			has: (key) => utils.getProperty(game.i18n.translations, key) !== undefined,
+			localize: (key) => utils.getProperty(game.i18n.translations, key) ?? key,
+			format: (key, data = {}) => game.i18n.localize(key).replace(/{([^}]+)}/g, (match, name) => data[name] ?? match)
+		},
+		user: currentUser,
+		users: new TestUsers([[currentUser.id, currentUser]]),
+		settings: {
+			settings: new Map(),
+			register(scope, key, config) {
+				this.settings.set(`${scope}.${key}`, config);
+			},
+			get(scope, key) {
+				const id = `${scope}.${key}`;
+				return utils.deepClone(settings.has(id) ? settings.get(id) : this.settings.get(id)?.default);
+			},
+			async set(scope, key, value) {
+				const id = `${scope}.${key}`;
+				settings.set(id, utils.deepClone(value));
+				this.settings.get(id)?.onChange?.(utils.deepClone(value));
+				return value;
+			}
+		},
+		socket: { emit() {}, on() {}, off() {} },
+		tooltip: { element: null, activate(element) { this.element = element; }, deactivate() { this.element = null; } }
+	};
+
+	globalThis.fromUuidSync = (uuid) => kit.documents.get(uuid) ?? null;
+	globalThis.fromUuid = async (uuid) => kit.documents.get(uuid) ?? null;
+	globalThis.TextEditor = {
+		getDragEventData(event) {
+			try {
+				return JSON.parse(event.dataTransfer?.getData('text/plain') || '{}');
+			}
+			catch (error) {
+				return {};
+			}
+		},
+		enrichHTML: async (content) => content ?? ''
+	};
+	globalThis.ContextMenu = class ContextMenu {
+		constructor(element, selector, menuItems = [], options = {}) {
+			Object.assign(this, { element, selector, menuItems, options });
+		}
+		close() {}
+	};
+
+	return kit;
+}
+
+/**
+ * Create a document which `fromUuid` resolves, for sheets and drops in tests.
+ * @param {Object} [data] - The document data, `documentName` (`Actor` by default), `_id`, `name`, `system`, `flags` and `isOwner`.
+ * @returns {TestDocument} - The document.
+ */
+export function createTestDocument(data = {}) {
+	if (!TestDocuments) throw new Error('VueTestKit | Call installFoundryStubs before creating documents');
+	const document = new TestDocument(data);
+	TestDocuments.set(document.uuid, document);
+	return document;
+}
+
+/**
+ * Wait until Vue and the pending promises, like debounced form submissions with no delay, have settled.
+ * @param {number} [delay=0] - Additional time to wait in milliseconds, for example the `debounce` of a form.
+ * @returns {Promise<void>}
+ */
+export async function flushVue(delay = 0) {
+	// -- Vue is imported when it is needed, it reads the document when it is first imported
+	const { nextTick } = await import('vue');
+	await new Promise(resolve => setTimeout(resolve, delay));
+	await nextTick();
+}
+
+/**
+ * Create and render an application, and wait until Vue has mounted it.
+ * @param {Function} Application - The application class.
+ * @param {Object} [options] - The application options.
+ * @param {Object} [renderOptions] - The render options.
+ * @returns {Promise<ApplicationV2>} - The rendered application.
+ */
+export async function mountVueApplication(Application, options = {}, renderOptions = {}) {
+	const application = new Application(options);
+	await application.render({ force: true, ...renderOptions });
+	await flushVue();
+	return application;
+}
+
+/**
+ * Find elements of an application, inside its shadow root when it has one.
+ * @param {ApplicationV2} application - The application.
+ * @param {string} selector - The selector.
+ * @returns {HTMLElement[]} - The matching elements.
+ */
+export function queryApplication(application, selector) {
+	const element = application.element;
+	if (!element) return [];
+	const roots = [element, ...[...element.querySelectorAll('*')].map(child => child.shadowRoot).filter(Boolean)];
+	return roots.flatMap(root => [...root.querySelectorAll(selector)]);
+}
+
+/**
+ * Get the element of a part.
+ * @param {ApplicationV2} application - The application.
+ * @param {string} partId - The id of the part.
+ * @returns {HTMLElement|null} - The part element.
+ */
+export function getPartElement(application, partId) {
+	return queryApplication(application, `[data-application-part="${partId}"]`)[0] ?? null;
+}
+
+/**
+ * Click the `data-action` element of an action, or call the action directly when no element renders it.
+ * @param {ApplicationV2} application - The application.
+ * @param {string} name - The name of the action.
+ * @param {Object} [options] - The click options.
+ * @param {HTMLElement} [options.target] - The element to click, the first element with the action by default.
+ * @param {number} [options.button=0] - The mouse button.
+ * @returns {Promise<void>}
+ */
+export async function triggerAction(application, name, { target, button = 0 } = {}) {
+	target ??= queryApplication(application, `[data-action="${name}"]`)[0];
+	const type = (button === 0) ? 'click' : (button === 2) ? 'contextmenu' : 'auxclick';
+	const event = new MouseEvent(type, { bubbles: true, cancelable: true, composed: true, button });
+
+	if (target) target.dispatchEvent(event);
+	else {
+		let handler = application.options.actions?.[name];
+		if (typeof handler === 'object') handler = handler?.handler;
+		if (!(handler instanceof Function)) throw new Error(`VueTestKit | No action named "${name}"`);
+		await handler.call(application, event, application.element);
+	}
+	await flushVue();
+}
+
+/**
+ * Fill the named fields of a part's form and submit it.
+ * The fields receive `input` and `change` events, so `v-model` and the part's form data see the values before the form is submitted.
+ * @param {ApplicationV2} application - The application.
+ * @param {string} partId - The id of the part.
+ * @param {Object} [data={}] - The values, keyed by field name or as nested objects.
+ * @param {Object} [options] - The submit options.
+ * @param {string} [options.selector] - The selector of the form, the first form of the part's `forms` config or the first form in the part by default.
+ * -- A part without that form submits the form it is rendered in, like the form of a document sheet
+ * @param {number} [options.delay=0] - The time to wait after submitting, for example the `debounce` of the form.
+ * @returns {Promise<void>}
+ */
+export async function submitPart(application, partId, data = {}, { selector, delay = 0 } = {}) {
+	const part = getPartElement(application, partId);
+	if (!part) throw new Error(`VueTestKit | Part "${partId}" is not rendered`);
+	selector ??= Object.keys(application.constructor.PARTS?.[partId]?.forms ?? {})[0] ?? 'form';
+	const form = part.matches(selector) ? part : (part.querySelector(selector) ?? part.closest('form') ?? part);
+
+	for (const [name, value] of Object.entries(utils.flattenObject(data))) {
+		for (const field of form.querySelectorAll(`[name="${name}"]`)) {
+			if (field.type === 'checkbox') field.checked = !!value;
+			else if (field.type === 'radio') field.checked = field.value === String(value);
+			else field.value = value ?? '';
+			field.dispatchEvent(new Event('input', { bubbles: true }));
+			field.dispatchEvent(new Event('change', { bubbles: true }));
+		}
+	}
+	await flushVue();
+
+	form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+	await flushVue(delay);
+}
@@ -0,0 +1,153 @@
+import { h, render } from 'vue';
+import { localize } from './VueLocalization.mjs';
+
+/**
+ * Get the tooltip options of an element from its binding.
+ * -- A string or an array of a string and data is a localization key, an object can render a component
+ * @param {Object} binding - The directive binding, its argument is the direction of the tooltip.
+ * @returns {{ text?: string|Array, component?: Object, props?: Object, direction?: string, cssClass?: string, locked?: boolean }|null} - The tooltip options, or null if there is no tooltip.
+ */
+function getTooltipOptions({ arg, value }) {
+	if (!value) return null;
+	const options = (typeof value === 'string' || Array.isArray(value)) ? { text: value } : { ...value };
+	options.direction ??= arg?.toUpperCase();
+	return options;
+}
+
+/**
+ * Create the tooltip directive of a Vue application.
+ * Tooltips are shown by `game.tooltip` after the same delay as Foundry's tooltips.
+ * -- A component tooltip is rendered with the application context of `app`, so it can use the application's components, plugins and provided values
+ * -- The component is unmounted when the tooltip is dismissed, or replaced by another tooltip
+ *
+ * @example
+ * <a v-tooltip="'MYMODULE.Roll'"></a>
+ * <a v-tooltip:left="['MYMODULE.Damage', { amount }]"></a>
+ * <img v-tooltip="{ component: ItemCard, props: { item }, cssClass: 'item-tooltip' }">
+ *
+ * @param {import('vue').App|null} [app=null] - The Vue application the component tooltips are rendered with.
+ * @param {Object} [options] - The directive options.
+ * @param {Function} [options.resolveComponent] - Resolves the `component` of a tooltip, for example a promise returned by `vueGetTemplate`.
+ * @returns {Object} - The directive.
+ */
+export function createTooltipDirective(app = null, { resolveComponent = async (component) => await component } = {}) {
+	/**
+	 * Unmount the component of a tooltip.
+	 * @param {Object} state - The tooltip state of the element.
+	 */
+	const unmount = (state) => {
+		state.observer?.disconnect();
+		state.observer = null;
+		if (state.container) render(null, state.container);
+		state.container = null;
+	};
+
+	/**
+	 * Render the component of a tooltip into its container.
+	 * @param {Object} state - The tooltip state of the element.
+	 * @param {Object} component - The resolved component.
+	 */
+	const renderComponent = (state, component) => {
+		const vnode = h(component, state.options.props ?? {});
+		vnode.appContext = app?._context ?? null;
+		render(vnode, state.container);
+	};
+
+	/**
+	 * Show the tooltip of an element.
+	 * @param {HTMLElement} el - The element.
+	 * @returns {Promise<void>}
+	 */
+	const activate = async (el) => {
+		const state = el._vueTooltip;
+		const { text, component, direction, cssClass, locked } = state.options ?? {};
+		const token = state.token;
+
+		if (!component) {
+			const [key, data] = Array.isArray(text) ? text : [text];
+			return game.tooltip.activate(el, { text: localize(key, data), direction, cssClass, locked });
+		}
+
+		const resolved = await resolveComponent(component);
+		// The pointer left the element, or the options changed, while the component was loading
+		if (token !== state.token) return;
+
+		unmount(state);
+		state.component = resolved;
+		state.container = document.createElement('div');
+		state.container.classList.add('vue-tooltip');
+		renderComponent(state, resolved);
+		game.tooltip.activate(el, { content: state.container, direction, cssClass, locked });
+
+		// Unmount the component once Foundry removes it from the tooltip
+		const tooltip = state.container.parentElement;
+		if (!tooltip) return unmount(state);
+		state.observer = new MutationObserver(() => {
+			if (!state.container?.isConnected) unmount(state);
+		});
+		state.observer.observe(tooltip, { childList: true });
+	};
+
+	/**
+	 * Hide the tooltip of an element, or stop it from being shown.
+	 * @param {HTMLElement} el - The element.
+	 */
+	const deactivate = (el) => {
+		const state = el._vueTooltip;
+		state.token++;
+		clearTimeout(state.timeout);
+		if (game.tooltip.element === el) game.tooltip.deactivate();
+		unmount(state);
+	};
+
+	return {
+		mounted(el, binding) {
+			const state = el._vueTooltip = { options: getTooltipOptions(binding), token: 0, timeout: null, container: null, component: null, observer: null, controller: new AbortController() };
+
+			const { signal } = state.controller;
+			el.addEventListener('pointerenter', () => {
+				if (!state.options) return;
+				clearTimeout(state.timeout);
+				state.timeout = setTimeout(() => activate(el).catch(error => {
+					// -- A component which fails to load, like a missing `.vue` file, only skips its tooltip
+					console.error('VueTooltip | Failed to show the tooltip', error);
+					ui.notifications?.error(error.message);
+				}), globalThis.TooltipManager?.TOOLTIP_ACTIVATION_MS ?? 500);
+			}, { signal });
+			el.addEventListener('pointerleave', () => deactivate(el), { signal });
+			el.addEventListener('pointerdown', () => deactivate(el), { signal });
+		},
+		updated(el, binding) {
+			const state = el._vueTooltip;
+			const previous = state.options;
+			state.options = getTooltipOptions(binding);
+
+			// Update the props of a shown component tooltip, other changes are shown the next time the tooltip opens
+			if (state.container && state.options?.component === previous?.component) renderComponent(state, state.component);
+			else if (state.container || !state.options) deactivate(el);
+		},
+		unmounted(el) {
+			const state = el._vueTooltip;
+			if (!state) return;
+			deactivate(el);
+			state.controller.abort();
+			delete el._vueTooltip;
+		}
+	};
+}
+
+/**
+ * A Vue plugin which provides the `v-tooltip` directive, every VueApplication already registers it.
+ * Register it through the `use` map of a chat message or other Vue application: `use: { tooltip: { plugin: VueTooltipPlugin } }`.
+ * @type {{ install: Function }}
+ */
+export const VueTooltipPlugin = {
+	/**
+	 * Add the tooltip directive to a Vue application.
+	 * @param {import('vue').App} app - The Vue application.
+	 * @param {Object} [options] - The options of `createTooltipDirective`.
+	 */
+	install(app, options = {}) {
+		app.directive('tooltip', createTooltipDirective(app, options));
+	}
+};
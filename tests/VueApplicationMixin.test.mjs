@@ -0,0 +1,369 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { flushVue, getPartElement, installFoundryStubs, mountVueApplication, submitPart, triggerAction } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so every test renders into the same window
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+const translations = { TEST: { Title: 'Test Application' } };
+let kit = installFoundryStubs({ window, translations });
+
+const { h, inject, onMounted, onUnmounted, ref } = await import('vue');
+const { VueApplicationMixin, useFormData, useTabs } = await import('../VueApplicationMixin.mjs');
+const { ApplicationV2 } = foundry.applications.api;
+
+beforeEach(() => {
+	kit = installFoundryStubs({ window, translations });
+	document.body.replaceChildren();
+});
+
+/**
+ * A component which renders its label, and counts how often it is mounted and unmounted.
+ */
+const counts = { mounted: 0, unmounted: 0 };
+const Label = {
+	props: ['label', 'shared'],
+	setup(props) {
+		onMounted(() => counts.mounted++);
+		onUnmounted(() => counts.unmounted++);
+		return () => h('span', `${props.label}|${props.shared ?? ''}`);
+	}
+};
+
+describe('VueApplicationMixin', () => {
+	describe('render', () => {
+		it('renders every part with its props and the shared props', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = {
+					first: { component: Label, props: { label: 'one' } },
+					second: { component: Label, props: { label: 'two' } }
+				};
+				_prepareSharedProps() {
+					return { shared: 'both' };
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			assert.equal(getPartElement(app, 'first').textContent, 'one|both');
+			assert.equal(getPartElement(app, 'second').textContent, 'two|both');
+			await app.close();
+		});
+
+		it('localizes the window title and keeps the title of the base application', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static DEFAULT_OPTIONS = { window: { title: 'TEST.Title' } };
+				static PARTS = { main: { component: Label } };
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			assert.equal(app.title, 'Test Application');
+			await app.close();
+		});
+
+		it('calls the render hooks once per render, subclass first', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label, props: { label: 'a' } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			const renderHooks = () => kit.hooks.map(hook => hook.name).filter(name => name.startsWith('render'));
+			assert.deepEqual(renderHooks(), ['renderTestApplication', 'renderVueApplication', 'renderApplicationV2']);
+
+			kit.hooks.length = 0;
+			await app.render({ props: { label: 'b' } });
+			await flushVue(20);
+			assert.deepEqual(renderHooks(), ['renderTestApplication', 'renderVueApplication', 'renderApplicationV2']);
+			await app.close();
+		});
+
+		it('warns about parts which are not defined', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label } };
+			}
+			const app = await mountVueApplication(TestApplication, {}, { parts: ['main', 'missing'] });
+
+			assert.deepEqual(kit.notifications, [{ type: 'warn', message: 'Part "missing" is not a supported template part for TestApplication' }]);
+			await app.close();
+		});
+
+		it('calls _onPartUpdated for the parts updated by render', async () => {
+			const updated = [];
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label, props: { label: 'a' } } };
+				_onPartUpdated(partId, element) {
+					updated.push([partId, element.textContent]);
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+			await app.render({ props: { label: 'b' } });
+			await flushVue();
+
+			assert.deepEqual(updated, [['main', 'b|']]);
+			await app.close();
+		});
+
+		it('bridges Vue updates to the render hooks again after a failed render', async () => {
+			const count = ref(0);
+			const Counter = { render: () => h('span', count.value) };
+			let fail = false;
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Counter } };
+				async _preparePartContext(partId, context, options) {
+					if (fail) throw new Error('Render failed');
+					return super._preparePartContext(partId, context, options);
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			fail = true;
+			await assert.rejects(app.render(), { message: 'Render failed' });
+			kit.hooks.length = 0;
+			count.value++;
+			await flushVue();
+
+			const [hook] = kit.hooks.filter(hook => hook.name === 'renderTestApplication');
+			assert.equal(hook?.args[3].isVueUpdate, true);
+			await app.close();
+		});
+	});
+
+	describe('props', () => {
+		it('updates the props passed to render without mounting the part again', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label, props: { label: 'before' } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			const mounted = counts.mounted;
+
+			await app.render({ props: { label: 'after' } });
+			await flushVue();
+
+			assert.equal(getPartElement(app, 'main').textContent, 'after|');
+			assert.equal(counts.mounted, mounted);
+			await app.close();
+		});
+
+		it('never writes the props of an instance back into PARTS', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label, props: { label: 'default' } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			await app.render({ props: { label: 'changed' } });
+			await app.close();
+
+			assert.equal(TestApplication.PARTS.main.props.label, 'default');
+		});
+
+		it('unmounts the parts which are no longer rendered, and mounts them again', async () => {
+			let parts = ['first', 'second'];
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = {
+					first: { component: Label, props: { label: 'one' } },
+					second: { component: Label, props: { label: 'two' } }
+				};
+				_configureRenderParts(options) {
+					const configured = super._configureRenderParts(options);
+					return Object.fromEntries(Object.entries(configured).filter(([partId]) => parts.includes(partId)));
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			parts = ['first'];
+			await app.render();
+			await flushVue();
+			assert.equal(getPartElement(app, 'second'), null);
+
+			parts = ['first', 'second'];
+			await app.render({ parts });
+			await flushVue();
+			assert.equal(getPartElement(app, 'second').textContent, 'two|');
+			await app.close();
+		});
+	});
+
+	describe('forms', () => {
+		it('submits the fields of a form through the handler of the part', async () => {
+			const submitted = [];
+			const Form = {
+				setup() {
+					const onSubmit = inject('onSubmit');
+					return () => h('form', { onSubmit }, [h('input', { name: 'name' }), h('input', { type: 'number', name: 'system.hp' })]);
+				}
+			};
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Form, forms: { form: { handler: (event, form, formData) => submitted.push(formData.object) } } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			await submitPart(app, 'main', { name: 'Hero', system: { hp: 5 } });
+
+			assert.deepEqual(submitted, [{ name: 'Hero', 'system.hp': 5 }]);
+			await app.close();
+		});
+
+		it('keeps separate form data for each form of a part', async () => {
+			const forms = {};
+			const submitted = [];
+			const Forms = {
+				setup() {
+					forms.main = useFormData();
+					forms.other = useFormData('.other');
+					return () => h('div', [h('form', { class: 'main' }), h('form', { class: 'other' })]);
+				}
+			};
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = {
+					main: {
+						component: Forms,
+						forms: {
+							'.main': { handler: (event, form, formData) => submitted.push(['main', form.className, formData.object]) },
+							'.other': { handler: (event, form, formData) => submitted.push(['other', form.className, formData.object]) }
+						}
+					}
+				};
+				_prepareFormData(partId, selector) {
+					return (selector === '.other') ? { count: 1 } : { name: 'Hero' };
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			assert.notEqual(forms.main, forms.other);
+			forms.main.data.name = 'Villain';
+			forms.other.data.count = 2;
+			await forms.other.submit();
+			await forms.main.submit();
+			assert.deepEqual(submitted, [['other', 'other', { count: 2 }], ['main', 'main', { name: 'Villain' }]]);
+
+			// -- Resetting one form keeps the changes of the other
+			forms.main.data.name = 'Hero';
+			forms.other.data.count = 5;
+			await flushVue();
+			forms.other.reset();
+			assert.equal(forms.other.data.count, 1);
+			assert.equal(forms.main.data.name, 'Hero');
+			assert.equal(forms.main.dirty, true);
+			await app.close();
+		});
+
+		it('does not submit invalid changes and exposes their errors', async () => {
+			let form;
+			const submitted = [];
+			const Form = {
+				setup() {
+					form = useFormData();
+					return () => h('form');
+				}
+			};
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Form, forms: { form: { handler: (event, element, formData) => submitted.push(formData.object) } } } };
+				_prepareFormData() {
+					return { name: 'Hero' };
+				}
+				_validateFormData(partId, changes) {
+					return (changes.name === '') ? { name: 'The name is required' } : {};
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			form.data.name = '';
+			await form.submit();
+			assert.deepEqual(submitted, []);
+			assert.equal(form.errors.name, 'The name is required');
+			assert.equal(form.dirty, true);
+
+			form.data.name = 'Villain';
+			await form.submit();
+			assert.deepEqual(submitted, [{ name: 'Villain' }]);
+			assert.equal(form.errors.name, undefined);
+			assert.equal(form.dirty, false);
+			await app.close();
+		});
+
+		it('notifies the error of a handler and keeps the changes', async () => {
+			let form;
+			const Form = {
+				setup() {
+					form = useFormData();
+					return () => h('form');
+				}
+			};
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Form, forms: { form: { handler: () => { throw new Error('Submit failed'); } } } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+
+			form.data.name = 'Villain';
+			await form.submit();
+			assert.deepEqual(kit.notifications, [{ type: 'error', message: 'Submit failed' }]);
+			assert.equal(form.dirty, true);
+			await app.close();
+		});
+	});
+
+	describe('actions', () => {
+		it('calls the action of a clicked element with its target', async () => {
+			const targets = [];
+			const Button = { render: () => h('button', { type: 'button', 'data-action': 'roll' }, 'Roll') };
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static DEFAULT_OPTIONS = { actions: { roll: (event, target) => targets.push(target.tagName) } };
+				static PARTS = { main: { component: Button } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			await triggerAction(app, 'roll');
+
+			assert.deepEqual(targets, ['BUTTON']);
+			await app.close();
+		});
+	});
+
+	describe('tabs', () => {
+		it('keeps a tab group in sync with changeTab', async () => {
+			let tabs;
+			const Tabs = {
+				setup() {
+					tabs = useTabs('primary', 'details');
+					return () => h('div', tabs.active.value);
+				}
+			};
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Tabs } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			assert.equal(getPartElement(app, 'main').textContent, 'details');
+
+			tabs.activate('notes');
+			await flushVue();
+			assert.equal(app.tabGroups.primary, 'notes');
+			assert.equal(getPartElement(app, 'main').textContent, 'notes');
+			await app.close();
+		});
+	});
+
+	describe('close', () => {
+		it('unmounts the components and removes the element', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label, props: { label: 'a' } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			const unmounted = counts.unmounted;
+			await app.close();
+
+			assert.equal(counts.unmounted, unmounted + 1);
+			assert.equal(app.element, null);
+			assert.equal(document.body.children.length, 0);
+			assert.ok(kit.hooks.some(hook => hook.name === 'closeTestApplication'));
+		});
+
+		it('mounts fresh props when it is rendered again', async () => {
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Label, props: { label: 'default' } } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			await app.render({ props: { label: 'changed' } });
+			await app.close();
+
+			await app.render({ force: true });
+			await flushVue();
+			assert.equal(getPartElement(app, 'main').textContent, 'default|');
+			await app.close();
+		});
+	});
+});
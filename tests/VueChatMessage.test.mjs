@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { flushVue, installFoundryStubs } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so the stubs are installed first
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+installFoundryStubs({ window });
+
+const { VueSFCOptions } = await import('../VueGetTemplate.mjs');
+const { createVueChatMessage, registerVueChatMessages } = await import('../VueChatMessage.mjs');
+
+// The Single File Components are read from disk instead of fetched
+VueSFCOptions.getFile = async (url) => ({ getContentData: () => readFile(url, 'utf8'), type: '.vue' });
+const ChatCard = fileURLToPath(new URL('./fixtures/ChatCard.vue', import.meta.url));
+
+let stop;
+let messages;
+beforeEach(() => {
+	messages = [];
+	installFoundryStubs({ window });
+	document.body.replaceChildren();
+	globalThis.unmountedChatCards = [];
+	globalThis.ChatMessage = { implementation: { create: async (data) => data } };
+	stop = registerVueChatMessages('test');
+});
+afterEach(() => {
+	// -- Unmount the messages a test left hydrated, so they aren't unmounted during the next test
+	for (const message of messages) Hooks.callAll('deleteChatMessage', message);
+	stop();
+});
+
+/**
+ * Create a chat message from the card and render it into a chat log, like Foundry does.
+ * @param {string} id - The id of the message.
+ * @param {HTMLElement} log - The chat log the message is rendered into.
+ * @returns {Promise<{ message: Object, element: HTMLElement }>} - The message and its element.
+ */
+async function renderMessage(id, log) {
+	const data = await createVueChatMessage('test', ChatCard, { name: id });
+	const message = { id, getFlag: (scope, key) => data.flags[scope]?.[key] };
+	messages.push(message);
+	const element = document.createElement('li');
+	element.innerHTML = `<div class="message-content">${data.content}</div>`;
+	Hooks.callAll('renderChatMessage', message, [element]);
+	log.append(element);
+	await flushVue(50);
+	return { message, element };
+}
+
+/**
+ * Render a chat log element and call its render hook.
+ * @param {string} [hook='renderChatLog'] - The render hook of the log.
+ * @returns {HTMLElement} - The chat log.
+ */
+function renderChatLog(hook = 'renderChatLog') {
+	const log = document.createElement('ol');
+	document.body.append(log);
+	Hooks.callAll(hook, {}, [log]);
+	return log;
+}
+
+describe('VueChatMessage', () => {
+	it('hydrates a rendered message into a live Vue application', async () => {
+		const { element } = await renderMessage('first', renderChatLog());
+		element.querySelector('button').click();
+		await flushVue();
+
+		assert.equal(element.querySelector('.card').textContent.trim(), 'first 1 Add');
+	});
+
+	it('unmounts a message pruned from the chat log', async () => {
+		const { element } = await renderMessage('first', renderChatLog());
+		element.remove();
+		await flushVue();
+
+		assert.deepEqual(unmountedChatCards, ['first']);
+	});
+
+	it('unmounts a message when it is deleted', async () => {
+		const { message } = await renderMessage('first', renderChatLog());
+		Hooks.callAll('deleteChatMessage', message);
+
+		assert.deepEqual(unmountedChatCards, ['first']);
+	});
+
+	it('unmounts the messages of a chat popout when it is closed', async () => {
+		await renderMessage('first', renderChatLog());
+		const popout = renderChatLog('renderChatPopout');
+		await renderMessage('second', popout);
+		Hooks.callAll('closeChatPopout', {}, [popout]);
+
+		assert.deepEqual(unmountedChatCards, ['second']);
+	});
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { flushVue, getPartElement, installFoundryStubs, mountVueApplication } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so every test renders into the same window
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+installFoundryStubs({ window });
+
+const { createApp, h } = await import('vue');
+const { VueApplicationMixin } = await import('../VueApplicationMixin.mjs');
+const { ProseMirrorEditor, TabNav, TabPanel } = await import('../VueComponents.mjs');
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * The editors created by the `TextEditor.create` stand-in, their content is what the editor saves.
+ * @type {Array<{ content: string, destroyed: boolean }>}
+ */
+let editors = [];
+
+beforeEach(() => {
+	installFoundryStubs({ window });
+	document.body.replaceChildren();
+
+	// ProseMirror only exists in Foundry, the editor serializes the content of the stand-in instead
+	editors = [];
+	globalThis.ProseMirror = {
+		defaultSchema: {},
+		dom: { serializeString: (content) => content },
+		ProseMirrorMenu: { build: () => ({}) },
+		ProseMirrorKeyMaps: { build: () => ({}) }
+	};
+	TextEditor.create = async (options, content) => {
+		const editor = { content, destroyed: false, view: { state: { doc: { get content() { return editor.content; } } } }, destroy: () => editor.destroyed = true };
+		editors.push(editor);
+		return editor;
+	};
+});
+
+describe('VueComponents', () => {
+	describe('TabNav', () => {
+		it('shows the panel of the active tab', async () => {
+			const Tabs = {
+				render: () => h('div', [
+					h(TabNav, { tabs: { details: 'Details', notes: 'Notes' } }),
+					h(TabPanel, { tab: 'details' }, () => 'Details panel'),
+					h(TabPanel, { tab: 'notes' }, () => 'Notes panel')
+				])
+			};
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Tabs } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			const visiblePanels = () => [...getPartElement(app, 'main').querySelectorAll('.tab.active')].map(panel => panel.textContent);
+			assert.deepEqual(visiblePanels(), ['Details panel']);
+
+			app.changeTab('notes', 'primary');
+			await flushVue();
+			assert.deepEqual(visiblePanels(), ['Notes panel']);
+			await app.close();
+		});
+
+		it('throws a clear error outside of a VueApplication', () => {
+			const errors = [];
+			const app = createApp({ render: () => h(TabNav, { tabs: { details: 'Details' } }) });
+			app.config.errorHandler = (error) => errors.push(error.message);
+			app.config.warnHandler = () => {};
+			app.mount(document.createElement('div'));
+
+			assert.deepEqual(errors, ['TabNav | No "useTabs" provider found, the component must be rendered in a VueApplication']);
+		});
+	});
+
+	describe('ProseMirrorEditor', () => {
+		it('submits the content saved when the application is closed', async () => {
+			const submitted = [];
+			const Editor = { render: () => h('div', [h(ProseMirrorEditor, { target: 'description' })]) };
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Editor, forms: { div: { handler: (event, form, formData) => submitted.push(formData.object), submitOnChange: true } } } };
+				_prepareFormData() {
+					return { description: '<p>Before</p>' };
+				}
+			}
+			const app = await mountVueApplication(TestApplication);
+			editors[0].content = '<p>After</p>';
+			await app.close();
+
+			assert.deepEqual(submitted, [{ description: '<p>After</p>' }]);
+		});
+
+		it('destroys an editor created after it was unmounted', async () => {
+			let finishCreate;
+			const create = TextEditor.create;
+			TextEditor.create = (...args) => new Promise(resolve => finishCreate = () => resolve(create(...args)));
+			const Editor = { render: () => h(ProseMirrorEditor, { target: 'description', modelValue: '<p>Text</p>' }) };
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Editor } };
+			}
+			const app = await mountVueApplication(TestApplication);
+			await app.close();
+			finishCreate();
+			await flushVue();
+
+			assert.equal(editors.length, 1);
+			assert.equal(editors[0].destroyed, true);
+		});
+
+		it('shows the content when it fails to enrich it', async () => {
+			TextEditor.enrichHTML = async () => {
+				throw new Error('Enrich failed');
+			};
+			const error = console.error;
+			console.error = () => {};
+			const Editor = { render: () => h(ProseMirrorEditor, { target: 'description', modelValue: '<p>Text</p>', button: true }) };
+			class TestApplication extends VueApplicationMixin(ApplicationV2) {
+				static PARTS = { main: { component: Editor } };
+			}
+			try {
+				const app = await mountVueApplication(TestApplication);
+				await flushVue();
+
+				assert.equal(getPartElement(app, 'main').querySelector('.editor-content').innerHTML, '<p>Text</p>');
+				await app.close();
+			}
+			finally {
+				console.error = error;
+			}
+		});
+	});
+});
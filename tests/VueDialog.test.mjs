@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { flushVue, installFoundryStubs } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so every test renders into the same window
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+installFoundryStubs({ window });
+
+const { h } = await import('vue');
+const { VueDialog } = await import('../VueDialog.mjs');
+
+beforeEach(() => {
+	installFoundryStubs({ window });
+	document.body.replaceChildren();
+});
+
+const Question = { render: () => h('p', 'Are you sure?') };
+
+describe('VueDialog', () => {
+	it('resolves with the result of the clicked button', async () => {
+		const result = VueDialog.confirm({ component: Question });
+		await flushVue();
+		document.querySelector('[data-button="yes"]').click();
+
+		assert.equal(await result, true);
+		assert.equal(document.querySelector('.vue-dialog'), null);
+	});
+
+	it('resolves with null when it is closed', async () => {
+		const result = VueDialog.confirm({ component: Question });
+		await flushVue();
+		await [...foundry.applications.instances.values()][0].close();
+
+		assert.equal(await result, null);
+	});
+
+	it('rejects when it is closed and rejectClose is set', async () => {
+		const result = VueDialog.wait({ component: Question, rejectClose: true });
+		await flushVue();
+		await [...foundry.applications.instances.values()][0].close();
+
+		await assert.rejects(result, { message: 'The dialog was closed without a choice being made.' });
+	});
+
+	it('rejects when it fails to render', async () => {
+		class BrokenDialog extends VueDialog {
+			async _prepareContext() {
+				throw new Error('Render failed');
+			}
+		}
+
+		await assert.rejects(BrokenDialog.wait({ component: Question }), { message: 'Render failed' });
+	});
+});
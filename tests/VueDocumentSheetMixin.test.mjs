@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { createTestDocument, flushVue, getPartElement, installFoundryStubs, mountVueApplication, submitPart } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so every test renders into the same window
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+let kit = installFoundryStubs({ window });
+
+const { h } = await import('vue');
+const { useFormData } = await import('../VueApplicationMixin.mjs');
+const { VueDocumentSheetMixin } = await import('../VueDocumentSheetMixin.mjs');
+const { DocumentSheetV2 } = foundry.applications.api;
+
+beforeEach(() => {
+	kit = installFoundryStubs({ window });
+	document.body.replaceChildren();
+});
+
+/**
+ * A sheet part which renders the name field and the hit points of its document.
+ */
+const Main = {
+	props: ['source', 'system'],
+	render() {
+		return h('div', [h('input', { name: 'name', value: this.source.name }), h('b', this.system.hp)]);
+	}
+};
+
+class TestSheet extends VueDocumentSheetMixin(DocumentSheetV2) {
+	static PARTS = { main: { component: Main } };
+}
+
+describe('VueDocumentSheetMixin', () => {
+	it('titles the sheet with the document type and name', async () => {
+		const sheet = await mountVueApplication(TestSheet, { document: createTestDocument({ name: 'Hero' }) });
+
+		assert.equal(sheet.title, 'Actor: Hero');
+		await sheet.close();
+	});
+
+	it('updates the document with the fields of the sheet form', async () => {
+		const sheet = await mountVueApplication(TestSheet, { document: createTestDocument({ name: 'Hero' }) });
+		await submitPart(sheet, 'main', { name: 'Villain' });
+
+		assert.equal(sheet.document.name, 'Villain');
+		assert.deepEqual(kit.notifications, []);
+		await sheet.close();
+	});
+
+	it('re-renders the parts when the document is updated', async () => {
+		const actor = createTestDocument({ name: 'Hero', system: { hp: 3 } });
+		const sheet = await mountVueApplication(TestSheet, { document: actor });
+		await actor.update({ 'system.hp': 7 });
+		await flushVue();
+
+		assert.equal(getPartElement(sheet, 'main').querySelector('b').textContent, '7');
+		await sheet.close();
+	});
+
+	it('submits the form data of a part to the document', async () => {
+		let form;
+		const Form = {
+			setup() {
+				form = useFormData();
+				return () => h('div');
+			}
+		};
+		class FormSheet extends VueDocumentSheetMixin(DocumentSheetV2) {
+			static PARTS = { main: { component: Form } };
+		}
+		const actor = createTestDocument({ name: 'Hero', system: { hp: 3 } });
+		const sheet = await mountVueApplication(FormSheet, { document: actor });
+
+		assert.equal(form.data.name, 'Hero');
+		form.data.system.hp = 5;
+		await form.submit();
+		assert.equal(actor.system.hp, 5);
+		await sheet.close();
+	});
+
+	it('closes when the document is deleted', async () => {
+		const actor = createTestDocument({ name: 'Hero' });
+		const sheet = await mountVueApplication(TestSheet, { document: actor });
+		await actor.delete();
+		await flushVue();
+
+		assert.equal(sheet.element, null);
+	});
+
+	it('logs a failure to remove the persisted state of a deleted document', async () => {
+		class PersistedSheet extends TestSheet {
+			static PERSIST = { storage: 'client', scope: 'test', props: { main: ['label'] } };
+		}
+		const actor = createTestDocument({ name: 'Hero' });
+		await game.settings.set('test', 'PersistedSheet', { [actor.uuid.replaceAll('.', '_')]: { uuid: actor.uuid } });
+		const sheet = await mountVueApplication(PersistedSheet, { document: actor });
+
+		const errors = [];
+		const error = console.error;
+		console.error = (...args) => errors.push(args[0]);
+		game.settings.set = async () => {
+			throw new Error('Setting failed');
+		};
+		try {
+			await actor.delete();
+			await flushVue();
+		}
+		finally {
+			console.error = error;
+		}
+
+		assert.equal(sheet.element, null);
+		assert.deepEqual(errors, [`VueApplicationMixin | Failed to remove the persisted state of ${actor.uuid.replaceAll('.', '_')}`]);
+	});
+});
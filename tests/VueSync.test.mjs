@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { installFoundryStubs } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so the stubs are installed first
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+installFoundryStubs({ window });
+
+const { reactive } = await import('vue');
+const { createLocalSocket, syncStore } = await import('../VueSync.mjs');
+
+const gm = { id: 'gm', isGM: true };
+const player = { id: 'player', isGM: false };
+const users = { gm, player };
+
+/**
+ * Wait until the messages of the local socket have been delivered and applied.
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+let hub;
+let stops = [];
+beforeEach(() => {
+	installFoundryStubs({ window });
+	hub = createLocalSocket();
+});
+afterEach(() => {
+	for (const stop of stops) stop();
+	stops = [];
+});
+
+/**
+ * Create a store synced as a user, with the GM as the authority.
+ * @param {Object} user - The user the client is connected as.
+ * @param {Object} state - The initial state of the store.
+ * @param {Object} [config] - Additional sync config.
+ * @returns {Object} - The reactive store.
+ */
+function createClient(user, state, config = {}) {
+	const store = reactive(state);
+	stops.push(syncStore(store, {
+		name: 'party',
+		channel: 'module.test',
+		socket: hub.connect(user.id),
+		getUser: () => user,
+		getAuthority: () => gm,
+		findUser: (id) => users[id],
+		...config
+	}));
+	return store;
+}
+
+describe('VueSync', () => {
+	it('sends the state of the GM to clients which connect', async () => {
+		const gmStore = createClient(gm, { loot: { gold: 10 } });
+		await settle();
+		const playerStore = createClient(player, {});
+		await settle();
+
+		assert.deepEqual(playerStore, { loot: { gold: 10 } });
+		assert.deepEqual(gmStore, { loot: { gold: 10 } });
+	});
+
+	it('applies the writable changes of a player and reverts the rest', async () => {
+		const gmStore = createClient(gm, { loot: { gold: 10 }, round: 1 }, { writable: ['loot'] });
+		await settle();
+		const playerStore = createClient(player, {}, { writable: ['loot'] });
+		await settle();
+
+		playerStore.loot.gold = 15;
+		playerStore.round = 99;
+		await settle();
+
+		assert.deepEqual(gmStore, { loot: { gold: 15 }, round: 1 });
+		assert.deepEqual(playerStore, { loot: { gold: 15 }, round: 1 });
+	});
+
+	it('ignores requests for paths which are not synced', async () => {
+		const gmStore = createClient(gm, { loot: { gold: 10 }, secret: 'hidden' }, { paths: ['loot'] });
+		await settle();
+		const client = hub.connect(player.id);
+		client.emit('module.test', { action: 'vueStoreSync', store: 'party', type: 'request', changes: { secret: 'changed', 'loot.gold': 5 } });
+		await settle();
+
+		assert.deepEqual(gmStore, { loot: { gold: 5 }, secret: 'hidden' });
+	});
+
+	it('ignores requests of unknown users, whoever they claim to be', async () => {
+		const gmStore = createClient(gm, { loot: { gold: 10 }, round: 1 }, { writable: ['loot'] });
+		await settle();
+		const client = hub.connect('unknown');
+		client.emit('module.test', { action: 'vueStoreSync', store: 'party', type: 'request', senderId: 'gm', changes: { round: 99, 'loot.gold': 0 } });
+		await settle();
+
+		assert.deepEqual(gmStore, { loot: { gold: 10 }, round: 1 });
+	});
+
+	it('ignores state which is not sent by the GM', async () => {
+		const playerStore = createClient(player, { loot: { gold: 0 } });
+		await settle();
+		const client = hub.connect('other');
+		client.emit('module.test', { action: 'vueStoreSync', store: 'party', type: 'state', senderId: 'gm', changes: { 'loot.gold': 999 } });
+		await settle();
+
+		assert.deepEqual(playerStore, { loot: { gold: 0 } });
+	});
+});
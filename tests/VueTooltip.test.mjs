@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { flushVue, installFoundryStubs } from '../VueTestKit.mjs';
+
+// Vue reads the document when it is first imported, so the stubs are installed first
+const { window } = new JSDOM('<!doctype html><html><head></head><body></body></html>');
+let kit = installFoundryStubs({ window });
+
+const { createApp, h, withDirectives } = await import('vue');
+const { createTooltipDirective } = await import('../VueTooltip.mjs');
+
+beforeEach(() => {
+	kit = installFoundryStubs({ window });
+	document.body.replaceChildren();
+	globalThis.TooltipManager = { TOOLTIP_ACTIVATION_MS: 0 };
+});
+
+/**
+ * Mount an element with a tooltip and move the pointer onto it.
+ * @param {Object} directive - The tooltip directive.
+ * @param {*} value - The value of the directive.
+ * @returns {Promise<import('vue').App>} - The mounted application.
+ */
+async function hoverTooltip(directive, value) {
+	const app = createApp({ render: () => withDirectives(h('a', 'Hover'), [[directive, value]]) });
+	const container = document.createElement('div');
+	document.body.append(container);
+	app.mount(container);
+	container.querySelector('a').dispatchEvent(new Event('pointerenter'));
+	await flushVue(10);
+	return app;
+}
+
+describe('VueTooltip', () => {
+	it('shows the localized text of a tooltip', async () => {
+		const activated = [];
+		game.tooltip.activate = (element, options) => activated.push(options.text);
+		const app = await hoverTooltip(createTooltipDirective(), 'Roll');
+
+		assert.deepEqual(activated, ['Roll']);
+		app.unmount();
+	});
+
+	it('notifies the error of a component which fails to load', async () => {
+		const directive = createTooltipDirective(null, { resolveComponent: async () => { throw new Error('Missing component'); } });
+		const error = console.error;
+		console.error = () => {};
+		try {
+			const app = await hoverTooltip(directive, { component: 'missing.vue' });
+
+			assert.deepEqual(kit.notifications, [{ type: 'error', message: 'Missing component' }]);
+			app.unmount();
+		}
+		finally {
+			console.error = error;
+		}
+	});
+});